@@ -0,0 +1,214 @@
+const run = require('./interpreter/run');
+const RTResult = require('./interpreter/runtimeResult');
+const { RTError } = require('./interpreter/error');
+const { setLocale } = require('./locale');
+
+const SWValue = require('./interpreter/types/value');
+const SWNull = require('./interpreter/types/null');
+const SWNumber = require('./interpreter/types/number');
+const SWString = require('./interpreter/types/string');
+const SWBoolean = require('./interpreter/types/boolean');
+const SWList = require('./interpreter/types/list');
+const SWObject = require('./interpreter/types/object');
+const SWDateTime = require('./interpreter/types/datetime');
+const SWBaseFunction = require('./interpreter/types/base-function');
+const SWBuiltInFunction = require('./interpreter/types/built-in-function');
+
+/**
+ * Converts a Swahili value into a plain JavaScript value.
+ * values without a JavaScript equivalent, ie functions, are returned as they are
+ * @param {SWValue} value the value to convert
+ * @param {Map} converted objects converted so far, so objects that contain themselves stay that way
+ * @returns {*}
+ */
+function toJS(value, converted = new Map()) {
+  if (!value || value instanceof SWNull) return null;
+  if (value instanceof SWBoolean) return value.value;
+  if (value instanceof SWNumber || value instanceof SWString)
+    return value.value;
+  if (value instanceof SWDateTime) return new Date(value.value);
+  if (value instanceof SWList)
+    return value.elements.map((el) => toJS(el, converted));
+  if (value instanceof SWObject && !(value instanceof SWBaseFunction)) {
+    if (converted.has(value)) return converted.get(value);
+
+    let object = {};
+    converted.set(value, object);
+    for (let [name, prop] of Object.entries(value.symbolTable.symbols)) {
+      if (name === 'hii') continue; // objects refer to themselves as 'hii'
+      object[name] = toJS(prop, converted);
+    }
+    return object;
+  }
+
+  return value;
+}
+
+/**
+ * Converts a plain JavaScript value into a Swahili value
+ * @param {*} value the value to convert
+ * @returns {SWValue}
+ */
+function fromJS(value) {
+  if (value instanceof SWValue) return value;
+  if (value === null || value === undefined) return SWNull.NULL;
+  if (typeof value === 'boolean')
+    return value ? SWBoolean.TRUE : SWBoolean.FALSE;
+  if (typeof value === 'number') return new SWNumber(value);
+  if (typeof value === 'string') return new SWString(value);
+  if (value instanceof Date) return new SWDateTime(value);
+  if (Array.isArray(value)) return new SWList(value.map(fromJS));
+
+  return new SWObject(
+    Object.entries(value).map(([name, prop]) => ({
+      name,
+      value: fromJS(prop),
+    }))
+  );
+}
+
+/**
+ * Describes an error as a plain object
+ * @param {Error} error the error to describe
+ * @returns {Object}
+ */
+function describeError(error) {
+  let pos = error.posStart;
+  return {
+    name: error.errorName,
+    kind: error.kinds()[0],
+    message: error.details,
+    file: pos.fileName,
+    line: pos.lineNumber + 1,
+    column: pos.colNumber + 1,
+    traceback: error.generateTraceback ? error.generateTraceback().trim() : '',
+    value: error.value ? toJS(error.value) : null,
+  };
+}
+
+/**
+ * An isolated instance of the language for running programs from JavaScript.
+ * each instance has its own global scope, output buffer and input
+ */
+class Swahili {
+  /**
+   * instantiates the language
+   * @param {Object} options
+   * @param {String[]} options.input lines of input given to `soma` and `somaNambari`, in order
+   * @param {Object} options.functions host functions to add as built ins, keyed by name
+   * @param {Object} options.limits the most steps, call depth and milliseconds each program can use
+   */
+  constructor({ input = [], functions = {}, limits = {} } = {}) {
+    this.symbolTable = run.createGlobalSymbolTable();
+    this.input = [...input];
+    this.output = [];
+    this.timerErrors = []; // errors raised by timers after a program's main body ran
+    this.limits = limits;
+
+    // programs write into the buffer and read from the input list
+    this.io = {
+      write: (text) => this.output.push(text),
+      read: () => (this.input.length ? String(this.input.shift()) : ''),
+      clear: () => {}, // the output is kept for the embedder to read
+      error: (error) => this.timerErrors.push(error),
+    };
+
+    for (let [name, fn] of Object.entries(functions)) {
+      this.register(name, fn);
+    }
+  }
+
+  /**
+   * Adds a JavaScript function as a built in function. it is called with the
+   * arguments converted to JavaScript values, and its return value is converted back.
+   * errors it throws are raised as runtime errors in the program
+   * @param {String} name the name of the function in programs
+   * @param {Function} fn the function to call
+   * @param {String[]} args the names of its arguments, used in error messages
+   * @returns {Swahili}
+   */
+  register(name, fn, args = []) {
+    let method = (inst, executionContext) => {
+      let res = new RTResult();
+      let values = executionContext.symbolTable.get('__hoja').elements;
+
+      try {
+        return res.success(fromJS(fn(...values.map((value) => toJS(value)))));
+      } catch (err) {
+        return res.failure(
+          new RTError(
+            inst.posStart,
+            inst.posEnd,
+            err.message || String(err),
+            executionContext
+          )
+        );
+      }
+    };
+
+    this.symbolTable.setConstant(
+      name,
+      new SWBuiltInFunction(name, { method, args })
+    );
+    return this;
+  }
+
+  /**
+   * Runs a program. variables it declares stay available to later programs run by this instance
+   * @param {String} code the program to run
+   * @param {String} fileName the name of the program's file, used in errors and for resolving imports
+   * @returns {{ value: *, output: String[], errors: Object[] }}
+   */
+  run(code, fileName = '<programu>') {
+    let start = this.output.length;
+    let [result, error, callbackQueue] = run(fileName, code, false, {
+      symbolTable: this.symbolTable,
+      io: this.io,
+      limits: this.limits,
+    });
+
+    this.callbackQueue = callbackQueue || [];
+    let values = result ? result.elements : [];
+    return {
+      value: values.length ? toJS(values[values.length - 1]) : null,
+      output: this.output.slice(start),
+      errors: error ? [].concat(error).map(describeError) : [],
+    };
+  }
+
+  /**
+   * Runs a program and waits for its timers (`subiri`, `rudia`) to finish
+   * @param {String} code the program to run
+   * @param {String} fileName the name of the program's file
+   * @param {Object} options
+   * @param {Number} options.timeout milliseconds to wait before stopping the timers that are left
+   * @returns {Promise<{ value: *, output: String[], errors: Object[], timedOut: Boolean }>}
+   */
+  runAsync(code, fileName = '<programu>', { timeout = 5000 } = {}) {
+    let start = this.output.length;
+    let errorStart = this.timerErrors.length;
+    let result = this.run(code, fileName);
+    let startedAt = Date.now();
+
+    return new Promise((resolve) => {
+      let interval = setInterval(() => {
+        let pending = this.callbackQueue.filter((tm) => !tm._destroyed);
+        let timedOut = Date.now() - startedAt >= timeout;
+        if (pending.length && !timedOut) return;
+
+        clearInterval(interval);
+        pending.forEach((tm) => clearTimeout(tm));
+        resolve({
+          ...result,
+          output: this.output.slice(start),
+          errors: result.errors.concat(
+            this.timerErrors.slice(errorStart).map(describeError)
+          ),
+          timedOut: !!pending.length,
+        });
+      }, 1);
+    });
+  }
+}
+
+module.exports = { Swahili, setLocale, toJS, fromJS };
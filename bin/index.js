@@ -6,7 +6,9 @@ const readline = require('readline');
 
 const info = require('../package.json');
 const print = require('./utils/print');
+const stringWithArrows = require('./utils/stringWithArrows');
 const run = require('./interpreter/run');
+const { t, setLocale, locales } = require('./locale');
 
 /** set up terminal interface */
 const rl = readline.createInterface({
@@ -17,12 +19,14 @@ const rl = readline.createInterface({
 /**
  * Print the output to the console (or not)
  * @param {*} result program output
- * @param {*} error any errors that occurred
+ * @param {*} error any error (or list of errors) that occurred
  * @param {Boolean} visualOutput whether to show implicit program output
  */
 function handleOutput(result, error, visualOutput = false) {
   if (error) {
-    print(colors.red(error.toString()), true);
+    // errors color their own messages, leaving the code excerpt readable
+    for (let err of [].concat(error))
+      print(typeof err === 'string' ? colors.red(err) : err.toString(), true);
   } else if (result) {
     let output = result;
     if (result.elements.length === 1) {
@@ -38,7 +42,9 @@ function getInput() {
   rl.question(`${colors.brightMagenta('swahili')} > `, (text) => {
     if (text) {
       // handle input
-      const [result, error, callbackQueue] = run('<stdin>', text);
+      const [result, error, callbackQueue] = run('<stdin>', text, false, {
+        limits,
+      });
       handleOutput(result, error, true);
 
       startEventLoop(callbackQueue);
@@ -66,6 +72,22 @@ const printHelp = () => {
   print('  Load a script at <filename> and run Swahili REPL', true);
   print('-v, --version');
   print('  Print the installed version of swahili-lang', true);
+  print(`--lugha <${locales().join('|')}>`);
+  print(
+    '  Language of error messages, can also be set with the SWAHILI_LANG environment variable (default: sw)',
+    true
+  );
+  print('--hatua <number>');
+  print('  Stop programs that visit more than <number> steps', true);
+  print('--kina <number>');
+  print('  Stop programs that make more than <number> nested calls', true);
+  print('--muda <milliseconds>');
+  print('  Stop programs, including their timers, after <milliseconds>', true);
+  print('--mistari <number>');
+  print(
+    '  Lines of code shown around errors, can also be set with the SWAHILI_CONTEXT_LINES environment variable (default: 2)',
+    true
+  );
 
   print(
     'swahili [-l|--load] <filename>\tScript at <filename> will be executed and loaded into the current context'
@@ -106,6 +128,51 @@ function startEventLoop(queue, preRepl = false, loadIn = false) {
 let fileName;
 let load = false;
 
+// the language flag can be placed anywhere, ie `swahili --lugha en faili.swh`
+let langIndex = args.indexOf('--lugha');
+if (langIndex !== -1) {
+  let [, locale] = args.splice(langIndex, 2);
+  if (!setLocale(locale)) {
+    print(
+      colors.red(
+        t('cli.invalidLocale', { locale, locales: locales().join(', ') })
+      ),
+      true
+    );
+    process.exit(1);
+  }
+}
+
+// lines of code shown around errors, ie `swahili --mistari 0 faili.swh`
+let linesIndex = args.indexOf('--mistari');
+if (linesIndex !== -1) {
+  let [, count] = args.splice(linesIndex, 2);
+  let contextLines = stringWithArrows.parseContextLines(count);
+  if (contextLines === null) {
+    print(colors.red(t('cli.invalidContextLines', { count })), true);
+    process.exit(1);
+  }
+  stringWithArrows.defaults.contextLines = contextLines;
+}
+
+// limits for untrusted programs, ie `swahili --hatua 100000 --muda 2000 faili.swh`
+const limits = {};
+for (let [option, limit] of [
+  ['--hatua', 'steps'],
+  ['--kina', 'callDepth'],
+  ['--muda', 'timeout'],
+]) {
+  let index = args.indexOf(option);
+  if (index === -1) continue;
+
+  let [, value] = args.splice(index, 2);
+  if (!/^[1-9]\d*$/.test(value || '')) {
+    print(colors.red(t('cli.invalidLimit', { value, option })), true);
+    process.exit(1);
+  }
+  limits[limit] = Number(value);
+}
+
 if (args.length) {
   fileName = args[0];
   let script = null;
@@ -119,7 +186,7 @@ if (args.length) {
   } else if (['-l', '--load'].includes(args[0])) {
     load = true;
   } else if (args[0].startsWith('-')) {
-    print(colors.red(`${args[0]} is not a valid option`), true);
+    print(colors.red(t('cli.invalidOption', { option: args[0] })), true);
     printHelp();
     process.exit(1);
   }
@@ -136,16 +203,18 @@ if (args.length) {
     if (fs.existsSync(fileName)) {
       script = fs.readFileSync(fileName, 'utf8');
     } else {
-      throw new Error('File not found');
+      throw new Error(t('cli.fileNotFound'));
     }
   } catch (err) {
-    let error = `Failed to load script "${fileName}"\n` + err.toString();
+    let error = t('cli.loadFailed', { file: fileName }) + '\n' + err.message;
     handleOutput(null, error);
     process.exit(1);
   }
 
   // process the file
-  const [result, error, callbackQueue] = run(fileName, script, !load);
+  const [result, error, callbackQueue] = run(fileName, script, !load, {
+    limits,
+  });
   handleOutput(result, error);
 
   startEventLoop(callbackQueue, true, load);
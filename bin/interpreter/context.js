@@ -11,6 +11,7 @@ class Context {
     this.parent = parent;
     this.parentEntryPos = parentEntryPos;
     this.symbolTable = null;
+    this.inTry = false; // whether this is the context of a try block
   }
 }
 
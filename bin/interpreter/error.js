@@ -1,4 +1,10 @@
+const colors = require('colors');
+
 const stringWithArrows = require('../utils/stringWithArrows');
+const { t } = require('../locale');
+
+/** number of lines kept at the start and end of long tracebacks */
+const TRACEBACK_EDGE = 10;
 
 class Error {
   /**
@@ -22,13 +28,30 @@ class Error {
   toString() {
     let pos = this.posStart;
     let result = `${this.errorName}: ${this.details}` + '\n';
-    result += `File "${pos.fileName}:${pos.lineNumber + 1}:${
-      pos.colNumber + 1
-    }"`;
-    if (pos.fileName === '<stdin>')
-      result += '\n\n' + stringWithArrows(pos.fileText, pos, this.posEnd);
+    result += t('output.file', {
+      file: `${pos.fileName}:${pos.lineNumber + 1}:${pos.colNumber + 1}`,
+    });
+    result = colors.red(result);
+    result += '\n\n' + stringWithArrows(pos.fileText, pos, this.posEnd);
     return result;
   }
+
+  /**
+   * Lists the kinds of error this error can be caught as, most specific first
+   * @returns {String[]}
+   */
+  kinds() {
+    return ['Kosa'];
+  }
+
+  /**
+   * Checks if the error can be caught as the given kind
+   * @param {String} kind name of the kind of error
+   * @returns {Boolean}
+   */
+  isKind(kind) {
+    return this.kinds().includes(kind);
+  }
 }
 
 class IllegalCharError extends Error {
@@ -39,7 +62,7 @@ class IllegalCharError extends Error {
    * @param {String} details More information about the error
    */
   constructor(posStart, posEnd, details) {
-    super(posStart, posEnd, 'Illegal Character', details);
+    super(posStart, posEnd, t('error.illegalChar'), details);
   }
 }
 
@@ -51,7 +74,7 @@ class ExpectedCharError extends Error {
    * @param {String} details More information about the error
    */
   constructor(posStart, posEnd, details = '') {
-    super(posStart, posEnd, 'Expected Character', details);
+    super(posStart, posEnd, t('error.expectedChar'), details);
   }
 }
 
@@ -63,7 +86,7 @@ class InvalidSyntaxError extends Error {
    * @param {String} details More information about the error
    */
   constructor(posStart, posEnd, details = '') {
-    super(posStart, posEnd, 'Invalid Syntax', details);
+    super(posStart, posEnd, t('error.invalidSyntax'), details);
   }
 }
 
@@ -76,7 +99,7 @@ class RTError extends Error {
    * @param {String} details More information about the error
    */
   constructor(posStart, posEnd, details, context) {
-    super(posStart, posEnd, 'Runtime Error', details);
+    super(posStart, posEnd, t('error.runtime'), details);
     this.context = context;
   }
 
@@ -85,20 +108,45 @@ class RTError extends Error {
    * @returns {String}
    */
   generateTraceback() {
-    let result = '';
+    let frames = [];
     let pos = this.posStart;
     let ctx = this.context;
 
     while (ctx) {
-      result =
-        `File "${pos.fileName}:${pos.lineNumber + 1}:${
-          pos.colNumber + 1
-        }", in ${ctx.displayName}\n` + result;
+      frames.unshift(
+        t('output.frame', {
+          file: `${pos.fileName}:${pos.lineNumber + 1}:${pos.colNumber + 1}`,
+          name: ctx.displayName,
+        })
+      );
       pos = ctx.parentEntryPos;
       ctx = ctx.parent;
     }
 
-    return '\nTraceback (most recent call last):\n' + result;
+    // frames repeated one after the other, ie in recursion, are shown once
+    let lines = [];
+    for (let i = 0; i < frames.length; ) {
+      let count = 1;
+      while (frames[i + count] === frames[i]) count++;
+
+      lines.push(frames[i]);
+      if (count > 1)
+        lines.push('  ' + t('output.repeated', { count: count - 1 }));
+      i += count;
+    }
+
+    // long tracebacks only keep the frames at either end
+    if (lines.length > TRACEBACK_EDGE * 2 + 1) {
+      let omitted = lines.length - TRACEBACK_EDGE * 2;
+      lines = [
+        ...lines.slice(0, TRACEBACK_EDGE),
+        '  ' + t('output.omitted', { count: omitted }),
+        ...lines.slice(-TRACEBACK_EDGE),
+      ];
+    }
+
+    let result = lines.map((line) => line + '\n').join('');
+    return '\n' + t('output.traceback') + '\n' + result;
   }
 
   /**
@@ -109,23 +157,113 @@ class RTError extends Error {
     let pos = this.posStart;
     let result = this.generateTraceback();
     result += `${this.errorName}: ${this.details}`;
-    if (pos.fileName === '<stdin>')
-      result += '\n\n' + stringWithArrows(pos.fileText, pos, this.posEnd);
+    result = colors.red(result);
+    result += '\n\n' + stringWithArrows(pos.fileText, pos, this.posEnd);
     return result;
   }
+
+  /**
+   * Lists the kinds of error this error can be caught as, most specific first
+   * @returns {String[]}
+   */
+  kinds() {
+    return ['KosaLaUendeshaji', ...super.kinds()];
+  }
+}
+
+/** Division by zero: occurs when a number is divided by zero */
+class DivisionByZeroError extends RTError {
+  /**
+   * Lists the kinds of error this error can be caught as, most specific first
+   * @returns {String[]}
+   */
+  kinds() {
+    return ['KosaLaKugawa', ...super.kinds()];
+  }
+}
+
+/** Index out of bounds: occurs when an index is outside the bounds of a list or string */
+class IndexError extends RTError {
+  /**
+   * Lists the kinds of error this error can be caught as, most specific first
+   * @returns {String[]}
+   */
+  kinds() {
+    return ['KosaLaFaharasa', ...super.kinds()];
+  }
+}
+
+/** Undefined name: occurs when a variable that has not been declared is used */
+class NameError extends RTError {
+  /**
+   * Lists the kinds of error this error can be caught as, most specific first
+   * @returns {String[]}
+   */
+  kinds() {
+    return ['KosaLaJina', ...super.kinds()];
+  }
+}
+
+/** No match: occurs when none of the cases of a switch statement match its value */
+class MatchError extends RTError {
+  /**
+   * Lists the kinds of error this error can be caught as, most specific first
+   * @returns {String[]}
+   */
+  kinds() {
+    return ['KosaLaChagua', ...super.kinds()];
+  }
 }
 
 /** Uncaught exception */
-class UncaughtException extends Error {
+class UncaughtException extends RTError {
   /**
    * Occurs when an error is manually thrown by the program
    * @param {Position} posStart the start position of the node where the error occurred
    * @param {Position} posEnd the end positoin of the node where the error occurred
    * @param {String} details More information about the error
+   * @param {Context} context the context the error was thrown in
+   * @param {SWValue} value the value that was thrown
+   * @param {String} kind name of the kind of error defined by the program
+   */
+  constructor(posStart, posEnd, details, context, value = null, kind = null) {
+    super(posStart, posEnd, details, context);
+    this.errorName = t('error.uncaught');
+    this.value = value;
+    this.kind = kind;
+  }
+
+  /**
+   * Lists the kinds of error this error can be caught as, most specific first.
+   * thrown errors are not runtime errors, so only match their own kind
+   * @returns {String[]}
+   */
+  kinds() {
+    return this.kind ? [this.kind, 'Kosa'] : ['Kosa'];
+  }
+}
+
+/** Limit exceeded */
+class LimitError extends RTError {
+  /**
+   * Occurs when a program goes over one of the limits set by whoever runs it,
+   * ie too many steps. programs can't catch it
+   * @param {Position} posStart the start position of the node where the error occurred
+   * @param {Position} posEnd the end positoin of the node where the error occurred
+   * @param {String} details More information about the error
+   * @param {Context} context the context the limit was reached in
    */
   constructor(posStart, posEnd, details, context) {
-    super(posStart, posEnd, 'Uncaught Exception', details);
-    this.context = context;
+    super(posStart, posEnd, details, context);
+    this.errorName = t('error.limit');
+  }
+
+  /**
+   * Lists the kinds of error this error can be caught as: none
+   * @returns {String[]}
+   */
+  kinds() {
+    return [];
   }
 }
 
@@ -135,5 +273,10 @@ module.exports = {
   ExpectedCharError,
   InvalidSyntaxError,
   RTError,
+  DivisionByZeroError,
+  IndexError,
+  NameError,
+  MatchError,
   UncaughtException,
+  LimitError,
 };
@@ -1,4 +1,11 @@
+const fs = require('fs');
+const path = require('path');
+const colors = require('colors');
+
+const Lexer = require('../lexer');
+const Parser = require('../parser');
 const TT = require('../lexer/tokenTypes');
+const LEX = require('../lexer/lexemes');
 
 const SWValue = require('./types/value');
 const SWNull = require('./types/null');
@@ -8,18 +15,70 @@ const SWList = require('./types/list');
 const SWBaseFunction = require('./types/base-function');
 const SWBuiltInFunction = require('./types/built-in-function');
 const SWFunction = require('./types/function');
+const SWClass = require('./types/class');
 const SWObject = require('./types/object');
+const SWError = require('./types/error');
 
 const Context = require('./context');
 const SymbolTable = require('./symbolTable');
+const {
+  CallNode,
+  IndexNode,
+  PropAccessNode,
+  VarAccessNode,
+  DefaultPatternNode,
+  ComputedPropNode,
+  SpreadNode,
+} = require('./nodes');
 const RTResult = require('./runtimeResult');
-const { RTError, UncaughtException } = require('./error');
+const {
+  RTError,
+  NameError,
+  MatchError,
+  UncaughtException,
+  LimitError,
+} = require('./error');
+const { t } = require('../locale');
+const { didYouMean } = require('../utils/closestMatches');
+const { toJina } = require('./lib/type/cast/Jina');
+const { terminal } = require('./io');
+
+/**
+ * Checks if an error was thrown because the JavaScript stack ran out
+ * @param {Error} err the error that was thrown
+ * @returns {Boolean}
+ */
+const isStackOverflow = (err) =>
+  err instanceof RangeError &&
+  err.message === 'Maximum call stack size exceeded';
 
 /** Analyzes abstract syntax trees from the parser and executes programs */
 class Interpreter {
-  /** instantiates the interpreter */
-  constructor() {
+  /**
+   * the most function calls that can be running at once when no call depth limit is given.
+   * recursion usually runs out of JavaScript stack before reaching it
+   */
+  static CALL_DEPTH = 10000;
+
+  /**
+   * instantiates the interpreter
+   * @param {SymbolTable} globalSymbolTable symbol table holding the built in functions and constants
+   * @param {Object} io where programs write their output and read their input, see io.js
+   * @param {Object} limits
+   * @param {Number} limits.steps the most nodes the program can visit
+   * @param {Number} limits.callDepth the most function calls that can be running at once, see CALL_DEPTH
+   * @param {Number} limits.timeout the most milliseconds the program can run for, including its timers
+   */
+  constructor(globalSymbolTable = null, io = terminal, limits = {}) {
     this.callbackQueue = [];
+    this.globalSymbolTable = globalSymbolTable;
+    this.io = io;
+    this.limits = limits; // limits that are left out are unlimited, apart from the call depth
+    this.steps = 0;
+    this.callDepth = 0;
+    this.deadline = limits.timeout ? Date.now() + limits.timeout : null;
+    this.modules = {}; // exports of every loaded module, keyed by the module's absolute path
+    this.moduleStack = []; // modules currently being loaded, used to detect circular imports
   }
 
   /**
@@ -29,9 +88,115 @@ class Interpreter {
    * @param {*} caller the calling type
    */
   visit(node, context, caller = null) {
-    let methodName = `visit${node.constructor.name}`;
-    let method = this[methodName] || this.noVisitMethod;
-    return method(node, context, caller);
+    let limitResult = this.checkLimits(node, context);
+    if (limitResult) return limitResult;
+
+    return (this[`visit${node.constructor.name}`] || this.noVisitMethod)(
+      node,
+      context,
+      caller
+    );
+  }
+
+  /**
+   * Counts a step of the program and checks it against the step and time limits.
+   * the failure is made here rather than in visit, which is on the stack once
+   * for every node being run and is kept small
+   * @param {Node} node the AST node being visited
+   * @param {Context} context the calling context
+   * @returns {RTResult|null} a failure holding the LimitError, if a limit was reached
+   */
+  checkLimits(node, context) {
+    let { steps, timeout } = this.limits;
+    let error = null;
+    this.steps++;
+
+    if (steps && this.steps > steps)
+      error = this.limitExceeded('limit.steps', steps, node, context);
+    else if (this.deadline && Date.now() > this.deadline)
+      error = this.limitExceeded('limit.timeout', timeout, node, context);
+
+    return error && new RTResult().failure(error);
+  }
+
+  /**
+   * Stops the program's timers and creates the error for a limit it went over
+   * @param {String} code the message code of the limit
+   * @param {Number} limit the value of the limit
+   * @param {Node} node the AST node the limit was reached at
+   * @param {Context} context the calling context
+   * @returns {LimitError}
+   */
+  limitExceeded(code, limit, node, context) {
+    this.stopCallbacks();
+    return new LimitError(
+      node.posStart,
+      node.posEnd,
+      t(code, { limit }),
+      context
+    );
+  }
+
+  /** Stops every timer set by the program */
+  stopCallbacks() {
+    for (let tm of this.callbackQueue) clearTimeout(tm);
+  }
+
+  /**
+   * Stops the program's timers once its time limit is up, for timers that
+   * would otherwise only run after it
+   * @param {Node} node the AST node of the program
+   * @param {Context} context the program's context
+   */
+  watchDeadline(node, context) {
+    if (!this.deadline) return;
+
+    let guard = setTimeout(() => {
+      let pending = this.callbackQueue.find((tm) => !tm._destroyed);
+      if (!pending) return;
+
+      // point at the call that set the timer when it is known
+      let source = pending.source || { node, context };
+      this.io.error(
+        this.limitExceeded(
+          'limit.timeout',
+          this.limits.timeout,
+          source.node,
+          source.context
+        )
+      );
+    }, Math.max(this.deadline - Date.now(), 0));
+
+    // the guard shouldn't keep the process running on its own
+    guard.unref();
+  }
+
+  /**
+   * Gets the code of a node as it is written in the file, ie `orodha[0]`
+   * @param {Node} node the AST node
+   * @returns {String}
+   */
+  sourceOf(node) {
+    let { fileText, lineNumber, colNumber } = node.posStart;
+    let line = fileText.split(LEX.line)[lineNumber];
+    let end =
+      node.posEnd.lineNumber === lineNumber ? node.posEnd.colNumber : undefined;
+    return line.slice(colNumber, end);
+  }
+
+  /**
+   * Creates the error for a program whose calls are nested too deep, ie endless recursion
+   * @param {Node} node the AST node of the call
+   * @param {Context} context the calling context
+   * @returns {RTError}
+   */
+  callDepthExceeded(node, context) {
+    return new RTError(
+      node.posStart,
+      node.posEnd,
+      t('runtime.callDepth'),
+      context
+    );
   }
 
   /**
@@ -43,6 +208,40 @@ class Interpreter {
     throw new Error(`No visit${node.constructor.name} method defined`);
   };
 
+  /**
+   * Lists the names a misspelled variable could have meant: every variable
+   * in scope and the keywords
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {String[]}
+   */
+  variableNames(context, caller = null) {
+    let names = context.symbolTable.names();
+    if (caller) names.push(...caller.symbolTable.names());
+
+    // type methods ($) and function arguments (__hoja) are hidden
+    return names
+      .filter((name) => !name.startsWith('$') && !name.startsWith('__'))
+      .concat(Object.values(LEX.keywords));
+  }
+
+  /**
+   * Lists the names of the type methods that can be used on a value
+   * @param {SWValue} value the value the methods are used on
+   * @param {Context} context the calling context
+   * @returns {String[]}
+   */
+  typeMethodNames(value, context) {
+    return context.symbolTable
+      .names()
+      .filter((name) => name.startsWith('$'))
+      .map((name) => name.slice(1))
+      .filter((name) => {
+        let types = context.symbolTable.get('$' + name)[`${name}_types`];
+        return (types || []).some((type) => value instanceof type);
+      });
+  }
+
   /**
    * Evaluates a number node
    * @param {Node} node the AST node to visit
@@ -73,6 +272,31 @@ class Interpreter {
     );
   };
 
+  /**
+   * Evaluates an interpolation node
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitInterpolationNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let string = '';
+
+    // embedded values are converted the same way Jina() converts them
+    for (let partNode of node.partNodes) {
+      let value = res.register(this.visit(partNode, context, caller));
+      if (res.shouldReturn()) return res;
+      string += toJina(value);
+    }
+
+    return res.success(
+      new SWString(string)
+        .setContext(context)
+        .setPosition(node.posStart, node.posEnd)
+    );
+  };
+
   /**
    * Evaluates an object node
    * @param {Node} node the AST node to visit
@@ -85,9 +309,22 @@ class Interpreter {
     let properties = [];
 
     for (let propNode of node.propertyNodes) {
-      propNode.varNameTok = propNode.nodeChain[0];
-      properties.push(res.register(this.visit(propNode, context, caller)));
-      if (res.shouldReturn()) return res;
+      if (propNode instanceof SpreadNode) {
+        let spread = res.register(
+          this.visitSpreadNode(propNode, context, caller)
+        );
+        if (res.shouldReturn()) return res;
+        properties.push(...spread);
+      } else if (propNode instanceof ComputedPropNode) {
+        properties.push(
+          res.register(this.visitComputedPropNode(propNode, context, caller))
+        );
+        if (res.shouldReturn()) return res;
+      } else {
+        propNode.varNameTok = propNode.nodeChain[0];
+        properties.push(res.register(this.visit(propNode, context, caller)));
+        if (res.shouldReturn()) return res;
+      }
     }
 
     return res.success(
@@ -97,6 +334,68 @@ class Interpreter {
     );
   };
 
+  /**
+   * Evaluates a property with a computed name in an object node
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult} holding the name and value of the property
+   */
+  visitComputedPropNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let key = res.register(this.visit(node.keyNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    // numbers are turned into names, ie `[1]: "a"` makes a property named "1"
+    if (!(key instanceof SWString) && !(key instanceof SWNumber))
+      return res.failure(
+        new RTError(
+          node.keyNode.posStart,
+          node.keyNode.posEnd,
+          t('runtime.propertyName', { type: key.typeName }),
+          context
+        )
+      );
+
+    let value = res.register(this.visit(node.valueNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    return res.success({ name: String(key.value), value });
+  };
+
+  /**
+   * Evaluates an object spread into an object node
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult} holding the names and values of the object's properties
+   */
+  visitSpreadNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let value = res.register(this.visit(node.valueNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    if (!(value instanceof SWObject) || value instanceof SWBaseFunction)
+      return res.failure(
+        new RTError(
+          node.posStart,
+          node.posEnd,
+          t('runtime.spreadObject', { type: value.typeName }),
+          context
+        )
+      );
+
+    let symbols = { ...value.symbolTable.symbols };
+    delete symbols.hii;
+
+    return res.success(
+      Object.entries(symbols).map(([name, prop]) => ({
+        name,
+        value: prop.copy(),
+      }))
+    );
+  };
+
   /**
    * Evaluates a list node
    * @param {Node} node the AST node to visit
@@ -140,13 +439,17 @@ class Interpreter {
     if (node.parent === null)
       return res.success(this.visitVarAccessNode(node, context, caller));
 
-    while (currentNode.parent !== null) {
+    while (currentNode instanceof PropAccessNode && currentNode.parent) {
       propChain.push(currentNode.varNameTok.value);
       currentNode = currentNode.parent;
     }
 
+    // chains start at a variable, or at an element or result, ie `orodha[0].idadi()`
+    let isVariable = currentNode instanceof PropAccessNode;
     let obj = res.register(
-      this.visitVarAccessNode(currentNode, context, caller)
+      isVariable
+        ? this.visitVarAccessNode(currentNode, context, caller)
+        : this.visit(currentNode, context, caller)
     );
     if (res.shouldReturn()) return res;
 
@@ -171,16 +474,28 @@ class Interpreter {
           new RTError(
             currentNode.posStart,
             currentNode.posEnd,
-            `'${methodName}' not supported on type '${obj.typeName}'`,
+            t('runtime.notSupported', {
+              name: methodName,
+              type: obj.typeName,
+            }) + didYouMean(methodName, this.typeMethodNames(obj, context)),
             context
           )
         );
       } catch (err) {
+        let suggestion =
+          propChain.length > 1
+            ? ''
+            : didYouMean(propChain[0], this.typeMethodNames(obj, context));
+
         return res.failure(
           new RTError(
             currentNode.posStart,
             currentNode.posEnd,
-            `'${currentNode.varNameTok.value}' is not an object`,
+            t('runtime.notAnObject', {
+              name: isVariable
+                ? currentNode.varNameTok.value
+                : this.sourceOf(currentNode),
+            }) + suggestion,
             context
           )
         );
@@ -215,7 +530,10 @@ class Interpreter {
           new RTError(
             currentNode.posStart,
             currentNode.posEnd,
-            `'${methodName}' not supported on type '${value.typeName}'`,
+            t('runtime.notSupported', {
+              name: methodName,
+              type: value.typeName,
+            }) + didYouMean(methodName, this.typeMethodNames(value, context)),
             context
           )
         );
@@ -224,13 +542,26 @@ class Interpreter {
           new RTError(
             node.posStart,
             node.posEnd,
-            `Cannot get property '${propChain[chainLength - 1]}' of undefined`,
+            t('runtime.propertyOfUndefined', {
+              name: propChain[chainLength - 1],
+            }) +
+              didYouMean(propChain[chainLength - 1], [
+                ...obj.symbolTable.names(),
+                ...this.typeMethodNames(obj, context),
+              ]),
             context
           )
         );
       }
     }
 
+    // errors from operations on the value point at the property, not where it was set
+    if (value && !(value instanceof SWObject))
+      value = value
+        .copy()
+        .setPosition(node.posStart, node.posEnd)
+        .setContext(context);
+
     return res.success(value || SWNull.NULL);
   };
 
@@ -244,10 +575,10 @@ class Interpreter {
   visitPropAssignNode = (node, context, caller = null) => {
     let res = new RTResult();
     let value = res.register(this.visit(node.valueNode, context, caller));
+    if (res.shouldReturn()) return res;
 
     if (node.varNameTok) {
       let name = node.varNameTok.value;
-      if (res.shouldReturn()) return res;
       return res.success({ name, value });
     }
 
@@ -300,10 +631,11 @@ class Interpreter {
 
     if (!value)
       return res.failure(
-        new RTError(
+        new NameError(
           node.posStart,
           node.posEnd,
-          `'${varName}' is not defined`,
+          t('runtime.notDefined', { name: varName }) +
+            didYouMean(varName, this.variableNames(context, caller)),
           context
         )
       );
@@ -312,6 +644,10 @@ class Interpreter {
       .copy()
       .setPosition(node.posStart, node.posEnd)
       .setContext(context);
+
+    // functions passed around as values run with the interpreter that uses them,
+    // so the limits of the current run apply to functions made by earlier ones
+    if (value instanceof SWBaseFunction) value.interpreter = this;
     return res.success(value);
   };
 
@@ -325,15 +661,29 @@ class Interpreter {
   visitVarAssignNode = (node, context, caller = null) => {
     let res = new RTResult();
     let varName = node.varNameTok.value;
+
+    // checked first so that compound assignments, ie `x += 1`, report the
+    // constant rather than any error from combining its value
+    if (context.symbolTable.hasConstant(varName))
+      return res.failure(
+        new RTError(
+          node.posStart,
+          node.posEnd,
+          t('runtime.constant', { name: varName }),
+          context
+        )
+      );
+
     let value = res.register(this.visit(node.valueNode, context, caller));
     if (res.shouldReturn()) return res;
 
     if (!context.symbolTable.get(varName))
       return res.failure(
-        new RTError(
+        new NameError(
           node.posStart,
           node.posEnd,
-          `'${varName}' is not defined`,
+          t('runtime.notDefined', { name: varName }) +
+            didYouMean(varName, this.variableNames(context, caller)),
           context
         )
       );
@@ -345,17 +695,7 @@ class Interpreter {
       }
     }
 
-    let isSet = context.symbolTable.set(varName, value, true);
-    if (!isSet)
-      return res.failure(
-        new RTError(
-          node.posStart,
-          node.posEnd,
-          `Cannot change value of constant '${varName}'`,
-          context
-        )
-      );
-
+    context.symbolTable.set(varName, value, true);
     return res.success(value);
   };
 
@@ -368,16 +708,40 @@ class Interpreter {
    */
   visitVarDefNode = (node, context, caller = null) => {
     let res = new RTResult();
-    let varName = node.varNameTok.value;
     let value = res.register(this.visit(node.valueNode, context, caller));
     if (res.shouldReturn()) return res;
 
+    if (node.patternNode) {
+      let bindings = res.register(
+        this.destructure(node.patternNode, value, context, caller)
+      );
+      if (res.shouldReturn()) return res;
+
+      for (let name of Object.keys(bindings)) {
+        if (context.symbolTable.get(name, true))
+          return res.failure(
+            new RTError(
+              node.patternNode.posStart,
+              node.patternNode.posEnd,
+              t('runtime.redeclare', { name }),
+              context
+            )
+          );
+      }
+
+      for (let [name, boundValue] of Object.entries(bindings)) {
+        context.symbolTable.set(name, boundValue);
+      }
+      return res.success(value);
+    }
+
+    let varName = node.varNameTok.value;
     if (context.symbolTable.get(varName, true))
       return res.failure(
         new RTError(
           node.posStart,
           node.posEnd,
-          `Cannot re-declare '${varName}'`,
+          t('runtime.redeclare', { name: varName }),
           context
         )
       );
@@ -457,24 +821,51 @@ class Interpreter {
    */
   visitUnaryOpNode = (node, context, caller = null) => {
     let res = new RTResult();
-    let number = res.register(this.visit(node.node, context, caller));
+    let value = res.register(this.visit(node.node, context, caller));
     if (res.shouldReturn()) return res;
 
+    // errors point at the operator as well as its operand
+    value = value.copy().setPosition(node.posStart, node.posEnd);
+
+    let result = null;
     let error = null;
 
     if (node.opTok.type === TT.MINUS) {
-      [number, error] = number.multedBy(new SWNumber(-1));
+      [result, error] = value.negated();
+    } else if (node.opTok.type === TT.PLUS) {
+      [result, error] = value.plussed();
     } else if (node.opTok.type === TT.NOT) {
-      [number, error] = number.notted();
+      [result, error] = value.notted();
     }
 
     if (error) {
       return res.failure(error);
     } else {
-      return res.success(number.setPosition(node.posStart, node.posEnd));
+      return res.success(result.setPosition(node.posStart, node.posEnd));
     }
   };
 
+  /**
+   * Evaluates a ternary node. only the value that is chosen is evaluated
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitTernaryNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let conditionValue = res.register(
+      this.visit(node.conditionNode, context, caller)
+    );
+    if (res.shouldReturn()) return res;
+
+    let chosenNode = conditionValue.isTrue() ? node.valueNode : node.elseNode;
+    let value = res.register(this.visit(chosenNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    return res.success(value);
+  };
+
   /**
    * Evaluates an if node and returns the value from the case that evaluated to true
    * @param {Node} node the AST node to visit
@@ -596,7 +987,7 @@ class Interpreter {
         new RTError(
           node.iteratorValue.posStart,
           node.iteratorValue.posEnd,
-          `Cannot iterate over non-iterable '${iteratorValue.toString(false)}'`,
+          t('runtime.notIterable', { value: iteratorValue.toString(false) }),
           context
         )
       );
@@ -610,7 +1001,7 @@ class Interpreter {
         new RTError(
           node.iteratorValue.posStart,
           node.iteratorValue.posEnd,
-          `Cannot iterate over non-iterable '${iteratorValue.toString(false)}'`,
+          t('runtime.notIterable', { value: iteratorValue.toString(false) }),
           context
         )
       );
@@ -618,11 +1009,27 @@ class Interpreter {
     let originalScope = context.symbolTable;
     let blockScope = new SymbolTable(context.symbolTable);
     context.symbolTable = blockScope;
-    context.symbolTable.set(node.varNameTok.value, iterable[0]);
+    if (node.varNameTok)
+      context.symbolTable.set(node.varNameTok.value, iterable[0]);
 
     for (let i = 0; i < iterable.length; i++) {
       context.symbolTable = new SymbolTable(context.symbolTable);
-      context.symbolTable.set(node.varNameTok.value, iterable[i], true);
+
+      if (node.patternNode) {
+        let bindings = res.register(
+          this.destructure(node.patternNode, iterable[i], context, caller)
+        );
+        if (res.shouldReturn()) {
+          context.symbolTable = originalScope;
+          return res;
+        }
+
+        for (let [name, value] of Object.entries(bindings)) {
+          context.symbolTable.set(name, value);
+        }
+      } else {
+        context.symbolTable.set(node.varNameTok.value, iterable[i], true);
+      }
 
       let value = res.register(this.visit(node.bodyNode, context, caller));
       if (res.shouldReturn() && !res.loopShouldContinue && !res.loopShouldBreak)
@@ -685,11 +1092,7 @@ class Interpreter {
   visitFuncDefNode = (node, context) => {
     let res = new RTResult();
     let funcName = node.varNameTok ? node.varNameTok.value : null;
-    let bodyNode = node.bodyNode;
-    let argNames = node.argNameToks.map((argName) => argName.value);
-    let funcValue = new SWFunction(funcName, bodyNode, argNames, this)
-      .setContext(context)
-      .setPosition(node.posStart, node.posEnd);
+    let funcValue = this.makeFunction(node, context);
 
     if (node.varNameTok) {
       if (context.symbolTable.get(funcName, true))
@@ -697,7 +1100,7 @@ class Interpreter {
           new RTError(
             node.posStart,
             node.posEnd,
-            `Cannot re-declare '${funcName}'`,
+            t('runtime.redeclare', { name: funcName }),
             context
           )
         );
@@ -708,7 +1111,7 @@ class Interpreter {
           new RTError(
             node.posStart,
             node.posEnd,
-            `Cannot change value of constant '${funcName}'`,
+            t('runtime.constant', { name: funcName }),
             context
           )
         );
@@ -718,51 +1121,135 @@ class Interpreter {
   };
 
   /**
-   * Evaluates a function call node
+   * Creates the function defined by a function definition node, without declaring it
+   * @param {Node} node the function definition node
+   * @param {Context} context the context the function is defined in
+   * @returns {SWFunction}
+   */
+  makeFunction(node, context) {
+    let funcName = node.varNameTok ? node.varNameTok.value : null;
+    let argNames = node.argNameToks.map((argName) => argName.value);
+    let restName = node.restNameTok ? node.restNameTok.value : null;
+    let funcValue = new SWFunction(
+      funcName,
+      node.bodyNode,
+      argNames,
+      this,
+      node.defaultNodes,
+      restName
+    )
+      .setContext(context)
+      .setPosition(node.posStart, node.posEnd);
+
+    // functions run in the scope they were defined in, wherever they end up
+    // being called from, so they keep seeing the variables around them
+    funcValue.scope = context.symbolTable;
+    return funcValue;
+  }
+
+  /**
+   * Creates a class and declares it in the associated context's symbol table
    * @param {Node} node the AST node to visit
    * @param {Context} context the calling context
    * @param {*} caller the calling type
    * @returns {RTResult}
    */
-  visitCallNode = (node, context, caller = null) => {
+  visitClassDefNode = (node, context, caller = null) => {
     let res = new RTResult();
-    let args = [];
+    let className = node.varNameTok.value;
+    let parentClass = null;
 
-    let valueToCall = res.register(
-      this.visit(node.nodeToCall, context, caller)
-    );
-    if (res.shouldReturn()) return res;
-    if (Array.isArray(valueToCall)) {
-      args.push(valueToCall[1]);
-      valueToCall = valueToCall[0];
+    if (node.parentNode) {
+      parentClass = res.register(this.visit(node.parentNode, context, caller));
+      if (res.shouldReturn()) return res;
+
+      if (!(parentClass instanceof SWClass))
+        return res.failure(
+          new RTError(
+            node.parentNode.posStart,
+            node.parentNode.posEnd,
+            t('runtime.notAClass', { name: node.parentNode.varNameTok.value }),
+            context
+          )
+        );
     }
 
-    if (!(valueToCall instanceof SWBaseFunction))
+    // methods are named after their class, ie in tracebacks
+    let methods = {};
+    for (let methodNode of node.methodNodes) {
+      let method = this.makeFunction(methodNode, context);
+      methods[method.name] = method;
+      method.name = `${className}.${method.name}`;
+    }
+
+    if (context.symbolTable.get(className, true))
       return res.failure(
         new RTError(
           node.posStart,
           node.posEnd,
-          `'${valueToCall}' is not a method`,
+          t('runtime.redeclare', { name: className }),
           context
         )
       );
 
-    valueToCall = valueToCall
-      .copy()
+    let classValue = new SWClass(className, methods, parentClass)
       .setContext(context)
       .setPosition(node.posStart, node.posEnd);
+    classValue.interpreter = this;
 
-    // add the interpreter to it just in case we need it
-    if (!valueToCall.interpreter) valueToCall.interpreter = this;
+    let isSet = context.symbolTable.set(className, classValue);
+    if (!isSet)
+      return res.failure(
+        new RTError(
+          node.posStart,
+          node.posEnd,
+          t('runtime.constant', { name: className }),
+          context
+        )
+      );
 
-    for (let argNode of node.argNodes) {
-      let val = res.register(this.visit(argNode, context, caller));
-      if (Array.isArray(val)) val = val[0];
-      args.push(val);
+    return res.success(classValue);
+  };
+
+  /**
+   * Evaluates a function call node
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @param {Object} call the function and arguments from prepareCall, when they were already evaluated
+   * @returns {RTResult}
+   */
+  visitCallNode = (node, context, caller = null, call = null) => {
+    let res = new RTResult();
+
+    if (!call) {
+      call = res.register(this.prepareCall(node, context, caller));
       if (res.shouldReturn()) return res;
     }
 
-    let returnValue = res.register(valueToCall.execute(args));
+    // a limit set by whoever runs the program can't be caught, while the default one can
+    let callDepth = this.limits.callDepth || Interpreter.CALL_DEPTH;
+    if (this.callDepth >= callDepth)
+      return res.failure(
+        this.limits.callDepth
+          ? this.limitExceeded('limit.callDepth', callDepth, node, context)
+          : this.callDepthExceeded(node, context)
+      );
+
+    // the JavaScript stack can run out before the limit is reached.
+    // there is hardly any stack left when it does, so nothing else is called before handling it
+    let returnValue;
+    this.callDepth++;
+    try {
+      returnValue = res.register(
+        call.valueToCall.execute(call.args, call.namedArgs)
+      );
+    } catch (err) {
+      if (!isStackOverflow(err)) throw err;
+      return res.failure(this.callDepthExceeded(node, context));
+    } finally {
+      this.callDepth--;
+    }
     if (res.shouldReturn()) return res;
 
     if (returnValue)
@@ -775,36 +1262,246 @@ class Interpreter {
   };
 
   /**
-   * Evaluates a try catch node
-   * @param {Node} node the AST node to visit
+   * Evaluates the function and the arguments of a call node
+   * @param {Node} node the call node
    * @param {Context} context the calling context
    * @param {*} caller the calling type
-   * @returns {RTResult}
+   * @returns {RTResult} holding the function, ready to execute, as `valueToCall`, its `args` and its `namedArgs`
    */
-  visitTryCatchNode = (node, context, caller = null) => {
+  prepareCall(node, context, caller = null) {
     let res = new RTResult();
-    let err = null;
-
-    const tryContext = new Context('<try>', context, node.posStart);
-    tryContext.symbolTable = new SymbolTable(context.symbolTable);
-
-    for (let line of node.tryBodyNode.elementNodes) {
-      res.register(this.visit(line, tryContext, caller));
-      if (res.shouldReturn()) {
-        err = res.error;
-        res.reset();
-        break;
-      }
-    }
-
-    if (err) {
-      let errVarName = node.errVarNameTok.value;
-      tryContext.symbolTable.set(errVarName, new SWString(err.details));
+    let args = [];
 
-      for (let line of node.catchBodyNode.elementNodes) {
-        res.register(this.visit(line, tryContext, caller));
+    let valueToCall = res.register(
+      this.visit(node.nodeToCall, context, caller)
+    );
+    if (res.shouldReturn()) return res;
+    if (Array.isArray(valueToCall)) {
+      args.push(valueToCall[1]);
+      valueToCall = valueToCall[0];
+    }
+
+    if (!(valueToCall instanceof SWBaseFunction))
+      return res.failure(
+        new RTError(
+          node.posStart,
+          node.posEnd,
+          t('runtime.notAMethod', { name: valueToCall }),
+          context
+        )
+      );
+
+    valueToCall = valueToCall
+      .copy()
+      .setContext(context)
+      .setPosition(node.posStart, node.posEnd);
+
+    // the function runs with the interpreter calling it, and that interpreter's limits
+    valueToCall.interpreter = this;
+
+    for (let argNode of node.argNodes) {
+      let val = res.register(this.visit(argNode, context, caller));
+      if (Array.isArray(val)) val = val[0];
+      args.push(val);
+      if (res.shouldReturn()) return res;
+    }
+
+    let namedArgs = {};
+    for (let [argNameTok, argNode] of node.namedArgNodes) {
+      let val = res.register(this.visit(argNode, context, caller));
+      if (res.shouldReturn()) return res;
+
+      if (namedArgs[argNameTok.value])
+        return res.failure(
+          new RTError(
+            argNameTok.posStart,
+            argNode.posEnd,
+            t('runtime.duplicateArgument', { name: argNameTok.value }),
+            context
+          )
+        );
+      namedArgs[argNameTok.value] = Array.isArray(val) ? val[0] : val;
+    }
+
+    return res.success({ valueToCall, args, namedArgs });
+  }
+
+  /**
+   * Evaluates an index node and returns the element or character at the index
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitIndexNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let base = res.register(this.visit(node.baseNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let index = res.register(this.visit(node.indexNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let [result, error] = base.getIndex(index);
+    if (error) return res.failure(error);
+
+    return res.success(
+      result.copy().setPosition(node.posStart, node.posEnd).setContext(context)
+    );
+  };
+
+  /**
+   * Evaluates the value an index assignment or removal changes. like the
+   * objects in a property assignment, objects in variables and the elements
+   * indexed into aren't copied, so changing them, ie `o["a"]["b"] = 5`,
+   * changes the values stored in the program rather than copies of them
+   * @param {Node} node the AST node of the value
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  evaluateIndexBase(node, context, caller = null) {
+    if (node instanceof VarAccessNode) {
+      let value = context.symbolTable.get(node.varNameTok.value);
+      if (value instanceof SWObject) return new RTResult().success(value);
+    }
+
+    if (!(node instanceof IndexNode)) return this.visit(node, context, caller);
+
+    let res = new RTResult();
+    let base = res.register(
+      this.evaluateIndexBase(node.baseNode, context, caller)
+    );
+    if (res.shouldReturn()) return res;
+
+    let index = res.register(this.visit(node.indexNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let [result, error] = base.getIndex(index);
+    if (error) return res.failure(error);
+
+    return res.success(result);
+  }
+
+  /**
+   * Evaluates a slice node and returns the part of the list or string it covers
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitSliceNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let base = res.register(this.visit(node.baseNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let bounds = [];
+    for (let boundNode of [node.startNode, node.endNode]) {
+      let bound = boundNode
+        ? res.register(this.visit(boundNode, context, caller))
+        : null;
+      if (res.shouldReturn()) return res;
+
+      bounds.push(bound);
+    }
+
+    let [result, error] = base.getSlice(...bounds);
+    if (error) return res.failure(error);
+
+    return res.success(result.setPosition(node.posStart, node.posEnd));
+  };
+
+  /**
+   * Replaces the element at an index of a list
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitIndexAssignNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let { baseNode, indexNode } = node.indexNode;
+
+    let base = res.register(this.evaluateIndexBase(baseNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let index = res.register(this.visit(indexNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let value = res.register(this.visit(node.valueNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let [result, error] = base.setIndex(index, value);
+    if (error) return res.failure(error);
+
+    return res.success(result);
+  };
+
+  /**
+   * Removes a property from an object and returns its value
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitDeleteNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let base = res.register(
+      this.evaluateIndexBase(node.baseNode, context, caller)
+    );
+    if (res.shouldReturn()) return res;
+
+    let key = res.register(this.visit(node.keyNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let [result, error] = base.deleteIndex(key);
+    if (error) return res.failure(error);
+
+    return res.success(result);
+  };
+
+  /**
+   * Evaluates a try catch node
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitTryCatchNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let tryRes = new RTResult();
+
+    const tryContext = new Context(t('context.try'), context, node.posStart);
+    tryContext.symbolTable = new SymbolTable(context.symbolTable);
+    tryContext.inTry = true;
+
+    for (let line of node.tryBodyNode.elementNodes) {
+      tryRes.register(this.visit(line, tryContext, caller));
+      if (tryRes.shouldReturn()) break;
+    }
+    let err = tryRes.error;
+
+    // the first case that can catch this kind of error handles it
+    let catchCase = err
+      ? node.catchCases.find(([, errTypeTok]) =>
+          err.isKind(errTypeTok ? errTypeTok.value : 'Kosa')
+        )
+      : null;
+
+    if (catchCase) {
+      let [errVarNameTok, , catchBodyNode] = catchCase;
+      tryContext.symbolTable.set(
+        errVarNameTok.value,
+        new SWError(err)
+          .setContext(tryContext)
+          .setPosition(err.posStart, err.posEnd)
+      );
+
+      for (let line of catchBodyNode.elementNodes) {
+        res.register(this.visit(line, tryContext, caller));
         if (res.shouldReturn()) return res;
       }
+
+      err = null;
     }
 
     if (node.finallyBodyNode) {
@@ -814,9 +1511,301 @@ class Interpreter {
       }
     }
 
+    // errors none of the cases could catch go to the enclosing handler
+    if (err) return res.failure(err);
+    // a return, break or continue leaves the try block once finally has run
+    if (!tryRes.error && tryRes.shouldReturn()) return tryRes;
+
     return res.success(SWNull.NULL);
   };
 
+  /**
+   * Evaluates a switch node and runs the first case with a pattern that matches its value
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitSwitchNode = (node, context, caller = null) => {
+    let res = new RTResult();
+    let value = res.register(this.visit(node.subjectNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    for (let [patterns, bodyNode] of node.cases) {
+      for (let pattern of patterns) {
+        let bindings = {};
+        let matched = res.register(
+          this.matchPattern(pattern, value, bindings, context, caller)
+        );
+        if (res.shouldReturn()) return res;
+
+        if (matched) return this.runCase(bodyNode, bindings, context, caller);
+      }
+    }
+
+    if (node.defaultCase)
+      return this.runCase(node.defaultCase, {}, context, caller);
+
+    return res.failure(
+      new MatchError(
+        node.subjectNode.posStart,
+        node.subjectNode.posEnd,
+        t('runtime.noMatch', { value: colors.strip(value.toString()) }),
+        context
+      )
+    );
+  };
+
+  /**
+   * Runs the statements of a switch case in their own scope
+   * @param {Node} bodyNode node containing the statements to run
+   * @param {Object} bindings values bound by the case's pattern, keyed by name
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  runCase(bodyNode, bindings, context, caller) {
+    let res = new RTResult();
+    let originalScope = context.symbolTable;
+    context.symbolTable = new SymbolTable(originalScope);
+
+    for (let [name, value] of Object.entries(bindings)) {
+      context.symbolTable.set(name, value);
+    }
+
+    res.register(this.visit(bodyNode, context, caller));
+    context.symbolTable = originalScope;
+    if (res.shouldReturn()) return res;
+
+    return res.success(SWNull.NULL);
+  }
+
+  /**
+   * Checks if a value matches a pattern, collecting the values it binds
+   * @param {Node} pattern the pattern node to match
+   * @param {SWValue} value the value to match
+   * @param {Object} bindings where the bound values are added, keyed by name
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult} holding whether the value matched
+   */
+  matchPattern(pattern, value, bindings, context, caller = null) {
+    let methodName = `match${pattern.constructor.name}`;
+    return this[methodName](pattern, value, bindings, context, caller);
+  }
+
+  /**
+   * Matches a value against the pattern of a destructuring definition or loop
+   * @param {Node} pattern the pattern node to match
+   * @param {SWValue} value the value to destructure
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult} holding the bound values, keyed by name
+   */
+  destructure(pattern, value, context, caller = null) {
+    let res = new RTResult();
+    let bindings = {};
+    let matched = res.register(
+      this.matchPattern(pattern, value, bindings, context, caller)
+    );
+    if (res.shouldReturn()) return res;
+
+    if (!matched)
+      return res.failure(
+        new RTError(
+          pattern.posStart,
+          pattern.posEnd,
+          t('runtime.destructure', { value: colors.strip(value.toString()) }),
+          context
+        )
+      );
+
+    return res.success(bindings);
+  }
+
+  /**
+   * Checks if two values have the same type and are equal
+   * @param {SWValue} expected the value in the pattern
+   * @param {SWValue} value the value being matched
+   * @returns {Boolean}
+   */
+  valuesMatch(expected, value) {
+    if (expected.typeName !== value.typeName) return false;
+
+    let [isEqual, error] = expected.getComparisonEQ(value);
+    return !error && isEqual.isTrue();
+  }
+
+  /**
+   * Matches values equal to the pattern's literal
+   * @returns {RTResult}
+   */
+  matchValuePatternNode(pattern, value, bindings, context, caller) {
+    let res = new RTResult();
+    let expected = res.register(this.visit(pattern.valueNode, context, caller));
+    if (res.shouldReturn()) return res;
+
+    return res.success(this.valuesMatch(expected, value));
+  }
+
+  /**
+   * Matches any value and binds it, unless the name is a constant's,
+   * in which case the value has to equal the constant
+   * @returns {RTResult}
+   */
+  matchNamePatternNode(pattern, value, bindings, context) {
+    let name = pattern.varNameTok.value;
+
+    if (context.symbolTable.hasConstant(name))
+      return new RTResult().success(
+        this.valuesMatch(context.symbolTable.get(name), value)
+      );
+
+    return this.bindName(pattern.varNameTok, value, bindings, context);
+  }
+
+  /**
+   * Matches values of the pattern's type and binds them
+   * @returns {RTResult}
+   */
+  matchTypePatternNode(pattern, value, bindings, context) {
+    if (value.typeName !== pattern.typeNameTok.value)
+      return new RTResult().success(false);
+
+    return this.bindName(pattern.varNameTok, value, bindings, context);
+  }
+
+  /**
+   * Binds a value to a name of a pattern. like the parameters of a function,
+   * each name can only be given one value
+   * @param {Token} nameTok the token holding the name
+   * @param {SWValue} value the value to bind
+   * @param {Object} bindings the values bound so far, keyed by name
+   * @param {Context} context the calling context
+   * @returns {RTResult} holding true, as the name matched
+   */
+  bindName(nameTok, value, bindings, context) {
+    let res = new RTResult();
+    let name = nameTok.value;
+
+    if (name in bindings)
+      return res.failure(
+        new RTError(
+          nameTok.posStart,
+          nameTok.posEnd,
+          t('runtime.duplicateBinding', { name }),
+          context
+        )
+      );
+
+    bindings[name] = value;
+    return res.success(true);
+  }
+
+  /**
+   * Matches lists whose elements match the element patterns. with a rest name,
+   * the list can be longer and its remaining elements are bound as a new list.
+   * it can be shorter when the patterns of the missing elements have defaults
+   * @returns {RTResult}
+   */
+  matchListPatternNode(pattern, value, bindings, context, caller) {
+    let res = new RTResult();
+    let { elementPatterns, restNameTok } = pattern;
+    if (!(value instanceof SWList)) return res.success(false);
+
+    let { elements } = value;
+    if (!restNameTok && elements.length > elementPatterns.length)
+      return res.success(false);
+
+    for (let i = 0; i < elementPatterns.length; i++) {
+      // missing elements are only allowed when they have a default
+      let isDefault = elementPatterns[i] instanceof DefaultPatternNode;
+      if (i >= elements.length && !isDefault) return res.success(false);
+
+      let matched = res.register(
+        this.matchPattern(
+          elementPatterns[i],
+          elements[i],
+          bindings,
+          context,
+          caller
+        )
+      );
+      if (res.shouldReturn()) return res;
+      if (!matched) return res.success(false);
+    }
+
+    if (!restNameTok) return res.success(true);
+
+    let rest = new SWList(elements.slice(elementPatterns.length)).setContext(
+      context
+    );
+    return this.bindName(restNameTok, rest, bindings, context);
+  }
+
+  /**
+   * Matches objects that have every property in the pattern, with values
+   * matching the properties' patterns. properties without a pattern are bound
+   * @returns {RTResult}
+   */
+  matchObjectPatternNode(pattern, value, bindings, context, caller) {
+    let res = new RTResult();
+    if (!(value instanceof SWObject) || value instanceof SWBaseFunction)
+      return res.success(false);
+
+    for (let [propertyNameTok, propertyPattern] of pattern.propertyPatterns) {
+      let name = propertyNameTok.value;
+      let propertyValue = value.symbolTable.get(name, true);
+      let isDefault = propertyPattern instanceof DefaultPatternNode;
+      if (!propertyValue && !isDefault) return res.success(false);
+
+      if (!propertyPattern) {
+        res.register(
+          this.bindName(propertyNameTok, propertyValue, bindings, context)
+        );
+        if (res.shouldReturn()) return res;
+        continue;
+      }
+
+      let matched = res.register(
+        this.matchPattern(
+          propertyPattern,
+          propertyValue,
+          bindings,
+          context,
+          caller
+        )
+      );
+      if (res.shouldReturn()) return res;
+      if (!matched) return res.success(false);
+    }
+
+    return res.success(true);
+  }
+
+  /**
+   * Matches the pattern against the value, or against the default value when
+   * there is none, ie past the end of a list. defaults can use the names bound before them
+   * @returns {RTResult}
+   */
+  matchDefaultPatternNode(pattern, value, bindings, context, caller) {
+    let res = new RTResult();
+
+    if (!value) {
+      let originalScope = context.symbolTable;
+      context.symbolTable = new SymbolTable(originalScope);
+      for (let [name, boundValue] of Object.entries(bindings)) {
+        context.symbolTable.set(name, boundValue);
+      }
+
+      value = res.register(this.visit(pattern.defaultNode, context, caller));
+      context.symbolTable = originalScope;
+      if (res.shouldReturn()) return res;
+    }
+
+    return this.matchPattern(pattern.pattern, value, bindings, context, caller);
+  }
+
   /**
    * Evaluates a return node
    * @param {Node} node the AST node to visit
@@ -825,6 +1814,13 @@ class Interpreter {
    * @returns {RTResult}
    */
   visitReturnNode = (node, context, caller = null) => {
+    if (
+      node.nodeToReturn instanceof CallNode &&
+      caller instanceof SWFunction &&
+      !context.inTry
+    )
+      return this.returnCall(node.nodeToReturn, context, caller);
+
     let res = new RTResult();
     let value = SWNull.NULL;
 
@@ -833,12 +1829,37 @@ class Interpreter {
       if (res.shouldReturn()) return res;
     }
 
-    if (value instanceof SWFunction && caller)
-      value.symbolTable = caller.symbolTable;
-
     return res.successReturn(value);
   };
 
+  /**
+   * Returns the result of a call made by a function. a function returning a call
+   * to itself hands the call back to be run in its place, so recursion in tail
+   * position doesn't grow the stack. returns inside a try block don't get here:
+   * the try has to see the result
+   * @param {Node} node the call node
+   * @param {Context} context the calling context
+   * @param {SWFunction} caller the function that is returning
+   * @returns {RTResult}
+   */
+  returnCall(node, context, caller) {
+    let res = new RTResult();
+    let call = res.register(this.prepareCall(node, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let { valueToCall, args, namedArgs } = call;
+    if (
+      valueToCall instanceof SWFunction &&
+      valueToCall.bodyNode === caller.bodyNode
+    )
+      return res.successTailCall(valueToCall, args, namedArgs);
+
+    let value = res.register(this.visitCallNode(node, context, caller, call));
+    if (res.shouldReturn()) return res;
+
+    return res.successReturn(value);
+  }
+
   /**
    * Evaluates a throw node
    * @param {Node} node the AST node to visit
@@ -855,18 +1876,172 @@ class Interpreter {
       if (res.shouldReturn()) return res;
     }
 
-    if (value instanceof SWFunction && caller)
-      value.symbolTable = caller.symbolTable;
+    // caught errors are thrown again as they were
+    if (value instanceof SWError) return res.successThrow(value.error);
+
+    // objects can name their kind of error and its message,
+    // ie { kundi: "KosaLaNambari", ujumbe: "..." }
+    let kind = null;
+    let details = value.toString(false);
+    if (value instanceof SWObject) {
+      let kundi = value.symbolTable.get('kundi');
+      let ujumbe = value.symbolTable.get('ujumbe');
+      if (kundi instanceof SWString) kind = kundi.value;
+      if (ujumbe instanceof SWString) details = ujumbe.value;
+    }
 
     let err = new UncaughtException(
       node.posStart,
       node.posEnd,
-      value.toString(false)
+      details,
+      context,
+      value,
+      kind
     );
 
     return res.successThrow(err);
   };
 
+  /**
+   * Resolves the path of a module relative to the file importing it
+   * @param {String} modulePath path to the module as written in the import
+   * @param {String} fileName name of the importing file
+   * @returns {String}
+   */
+  resolveModulePath(modulePath, fileName) {
+    let baseDir = fs.existsSync(fileName)
+      ? path.dirname(path.resolve(fileName))
+      : process.cwd();
+
+    let fullPath = path.resolve(baseDir, modulePath);
+    if (fs.existsSync(fullPath) && fs.lstatSync(fullPath).isDirectory()) {
+      fullPath = path.join(fullPath, 'index.swh'); // default to index
+    } else if (!path.extname(fullPath)) {
+      fullPath += '.swh';
+    }
+
+    return fullPath;
+  }
+
+  /**
+   * Evaluates an import node and returns an object holding the module's exports
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @returns {RTResult}
+   */
+  visitImportNode = (node, context) => {
+    let res = new RTResult();
+    let modulePath = this.resolveModulePath(
+      node.pathTok.value,
+      node.posStart.fileName
+    );
+
+    // the file running the program is the root of every import chain
+    if (!this.moduleStack.length)
+      this.moduleStack.push(path.resolve(node.posStart.fileName));
+
+    if (this.moduleStack.includes(modulePath)) {
+      let cycle = this.moduleStack
+        .slice(this.moduleStack.indexOf(modulePath))
+        .concat(modulePath)
+        .map((p) => path.relative(process.cwd(), p));
+
+      return res.failure(
+        new RTError(
+          node.posStart,
+          node.posEnd,
+          t('runtime.circularImport', { cycle: cycle.join(' -> ') }),
+          context
+        )
+      );
+    }
+
+    // modules only ever run once
+    if (this.modules[modulePath]) return res.success(this.modules[modulePath]);
+
+    if (!fs.existsSync(modulePath))
+      return res.failure(
+        new RTError(
+          node.pathTok.posStart,
+          node.pathTok.posEnd,
+          t('runtime.moduleNotFound', { path: node.pathTok.value }),
+          context
+        )
+      );
+
+    const fileName = path.relative(process.cwd(), modulePath);
+    const text = fs.readFileSync(modulePath, 'utf8');
+
+    const lexer = new Lexer(fileName, text);
+    const [tokens, error] = lexer.makeTokens();
+    if (error) return res.failure(error);
+
+    // each module gets its own scope, chained to the global one
+    const moduleContext = new Context(
+      t('context.module', { name: fileName }),
+      context,
+      node.posStart
+    );
+    moduleContext.symbolTable = new SymbolTable(this.globalSymbolTable);
+    moduleContext.exports = [];
+
+    if (tokens.length > 1) {
+      // the first syntax error stands for the module, so jaribu can still catch it,
+      // and carries all of them to be reported together, like the program's own
+      const ast = new Parser(tokens).parse();
+      if (ast.error) {
+        ast.error.moduleErrors = ast.errors;
+        return res.failure(ast.error);
+      }
+
+      this.moduleStack.push(modulePath);
+      res.register(this.visit(ast.node, moduleContext));
+      this.moduleStack.pop();
+      if (res.error) return res;
+    }
+
+    let exports = moduleContext.exports.map(({ name, symbolTable }) => ({
+      name,
+      value: symbolTable.get(name),
+    }));
+
+    let moduleValue = new SWObject(exports)
+      .setContext(context)
+      .setPosition(node.posStart, node.posEnd);
+
+    this.modules[modulePath] = moduleValue;
+    return res.success(moduleValue);
+  };
+
+  /**
+   * Evaluates an export node and registers the exported name on the module
+   * @param {Node} node the AST node to visit
+   * @param {Context} context the calling context
+   * @param {*} caller the calling type
+   * @returns {RTResult}
+   */
+  visitExportNode = (node, context, caller = null) => {
+    let res = new RTResult();
+
+    if (!context.exports)
+      return res.failure(
+        new RTError(
+          node.posStart,
+          node.posEnd,
+          t('runtime.exportTopLevel', { keyword: LEX.keywords.export }),
+          context
+        )
+      );
+
+    let value = res.register(this.visit(node.nodeToExport, context, caller));
+    if (res.shouldReturn()) return res;
+
+    let name = node.nodeToExport.varNameTok.value;
+    context.exports.push({ name, symbolTable: context.symbolTable });
+
+    return res.success(value);
+  };
+
   /**
    * Evaluates a continue node
    * @param {Node} node the AST node to visit
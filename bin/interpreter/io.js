@@ -0,0 +1,40 @@
+const prompt = require('prompt-sync')();
+const print = require('../utils/print');
+
+/**
+ * the default input/output of programs: the terminal.
+ * embedders can give the interpreter any object with the same methods
+ */
+const terminal = {
+  /**
+   * shows program output
+   * @param {String} text the text to show
+   */
+  write(text) {
+    print(text);
+  },
+
+  /**
+   * gets a line of input for the program
+   * @param {String} question the text to show before the input
+   * @returns {String}
+   */
+  read(question) {
+    return prompt(question);
+  },
+
+  /**
+   * shows an error that happened outside the main program, ie in a timer
+   * @param {Error} error the error to show
+   */
+  error(error) {
+    print(error.toString(), true);
+  },
+
+  /** clears the output */
+  clear() {
+    console.clear();
+  },
+};
+
+module.exports = { terminal };
@@ -2,6 +2,7 @@ const SWTimeout = require('../../types/timeout');
 const SWNull = require('../../types/null');
 const RTResult = require('../../runtimeResult');
 const { RTError } = require('../../error');
+const { t } = require('../../../locale');
 
 /**
  * Kills a timeout
@@ -17,7 +18,7 @@ function komesha(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'muda' is required`,
+        t('lib.required', { name: 'muda' }),
         executionContext
       )
     );
@@ -27,7 +28,7 @@ function komesha(inst, executionContext) {
       new RTError(
         muda.posStart,
         muda.posEnd,
-        `'muda' must be a timeout`,
+        t('lib.mustBe', { name: 'muda', type: t('type.timeout') }),
         executionContext
       )
     );
@@ -3,6 +3,7 @@ const SWNumber = require('../../types/number');
 const SWTimeout = require('../../types/timeout');
 const RTResult = require('../../runtimeResult');
 const { RTError } = require('../../error');
+const { t } = require('../../../locale');
 
 /**
  * Repeats a function each given amount of time
@@ -20,7 +21,7 @@ function rudia(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'shug' is required`,
+        t('lib.required', { name: 'shug' }),
         executionContext
       )
     );
@@ -30,7 +31,7 @@ function rudia(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'muda' is required`,
+        t('lib.required', { name: 'muda' }),
         executionContext
       )
     );
@@ -41,7 +42,7 @@ function rudia(inst, executionContext) {
       new RTError(
         shug.posStart,
         shug.posEnd,
-        `Parameter 'shug' must be a function`,
+        t('lib.mustBe', { name: 'shug', type: t('type.function') }),
         executionContext
       )
     );
@@ -51,15 +52,23 @@ function rudia(inst, executionContext) {
       new RTError(
         muda.posStart,
         muda.posEnd,
-        `'muda' must be a number >= 5`,
+        t('lib.mustBe', {
+          name: 'muda',
+          type: t('type.minNumber', { min: 5 }),
+        }),
         executionContext
       )
     );
 
   let params = args.elements.slice(2);
   let int = setInterval(() => {
-    shug.execute(params);
+    let result = shug.execute(params);
+    if (result.error) {
+      clearInterval(int);
+      inst.interpreter.io.error(result.error);
+    }
   }, muda.value);
+  int.source = { node: inst, context: executionContext };
   inst.interpreter.callbackQueue.push(int);
 
   return res.success(new SWTimeout('interval', shug, muda.value, int));
@@ -3,6 +3,7 @@ const SWNumber = require('../../types/number');
 const SWTimeout = require('../../types/timeout');
 const RTResult = require('../../runtimeResult');
 const { RTError } = require('../../error');
+const { t } = require('../../../locale');
 
 /**
  * Waits for given amount of time before running a function
@@ -20,7 +21,7 @@ function subiri(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'shug' is required`,
+        t('lib.required', { name: 'shug' }),
         executionContext
       )
     );
@@ -31,7 +32,7 @@ function subiri(inst, executionContext) {
       new RTError(
         shug.posStart,
         shug.posEnd,
-        `Parameter 'shug' must be a function`,
+        t('lib.mustBe', { name: 'shug', type: t('type.function') }),
         executionContext
       )
     );
@@ -41,7 +42,10 @@ function subiri(inst, executionContext) {
       new RTError(
         muda.posStart,
         muda.posEnd,
-        `'muda' must be a number >= 0`,
+        t('lib.mustBe', {
+          name: 'muda',
+          type: t('type.minNumber', { min: 0 }),
+        }),
         executionContext
       )
     );
@@ -49,8 +53,10 @@ function subiri(inst, executionContext) {
   let delay = muda ? muda.value : 0;
   let params = args.elements.slice(2);
   let tm = setTimeout(() => {
-    shug.execute(params);
+    let result = shug.execute(params);
+    if (result.error) inst.interpreter.io.error(result.error);
   }, delay);
+  tm.source = { node: inst, context: executionContext };
   inst.interpreter.callbackQueue.push(tm);
 
   return res.success(new SWTimeout('timeout', shug, muda.value, tm));
@@ -26,12 +26,14 @@ const niTupu = require('./type/check/niTupu');
 const niTarehe = require('./type/check/niTarehe');
 const niKamusi = require('./type/check/niKamusi');
 const aina = require('./type/check/aina');
+const niAina = require('./type/check/niAina');
 
 // > Casting
 const Nambari = require('./type/cast/Nambari');
 const Jina = require('./type/cast/Jina');
 const Tarehe = require('./type/cast/Tarehe');
 const RegEx = require('./type/cast/RegEx');
+const Kosa = require('./type/cast/Kosa');
 
 // > Modification & reading
 // >>> Iterables (Lists & Strings)
@@ -58,6 +60,8 @@ const kubwa = require('./type/mod/number/kubwa');
 
 // >>> Objects
 const viingilio = require('./type/mod/object/viingilio');
+const funguo = require('./type/mod/object/funguo');
+const thamani = require('./type/mod/object/thamani');
 
 // >>> Dates
 const unda = require('./type/mod/date/unda');
@@ -82,10 +86,12 @@ module.exports = {
     niTarehe,
     niKamusi,
     aina,
+    niAina,
     Nambari,
     Jina,
     Tarehe,
     RegEx,
+    Kosa,
     idadi,
     sehemu,
     ina,
@@ -101,6 +107,8 @@ module.exports = {
     ndogo,
     kubwa,
     viingilio,
+    funguo,
+    thamani,
     unda,
   ],
 };
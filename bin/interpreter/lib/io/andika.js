@@ -1,7 +1,7 @@
-const print = require('../../../utils/print');
 const SWNull = require('../../types/null');
 const RTResult = require('../../runtimeResult');
 const { RTError } = require('../../error');
+const { t } = require('../../../locale');
 
 /**
  * Print a value to the screen
@@ -16,16 +16,13 @@ function andika(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'ujumbe' is required`,
+        t('lib.required', { name: 'ujumbe' }),
         executionContext
       )
     );
 
-  let output = '';
-  for (let arg of args.elements) {
-    output += arg.toString(false) + ' ';
-  }
-  print(output);
+  let output = args.elements.map((arg) => arg.toString(false)).join(' ');
+  inst.interpreter.io.write(output);
   return res.success(SWNull.NULL);
 }
 
@@ -2,13 +2,13 @@ const SWNull = require('../../types/null');
 const RTResult = require('../../runtimeResult');
 
 /**
- * Clears the terminal
+ * Clears the terminal (or the embedder's output)
  * @param {SWBuiltInFunction} inst the instance of the built in function
  * @param {Context} executionContext the calling context
  */
 function futa(inst, executionContext) {
   let res = new RTResult();
-  console.clear();
+  inst.interpreter.io.clear();
   return res.success(SWNull.NULL);
 }
 
@@ -1,4 +1,3 @@
-const prompt = require('prompt-sync')();
 const SWString = require('../../types/string');
 const RTResult = require('../../runtimeResult');
 
@@ -11,7 +10,7 @@ function soma(inst, executionContext) {
   let res = new RTResult();
   let swali = executionContext.symbolTable.get('swali');
   swali = swali ? swali.toString(false) : '> ';
-  let textInput = prompt(swali);
+  let textInput = inst.interpreter.io.read(swali);
   return res.success(new SWString(textInput || ''));
 }
 
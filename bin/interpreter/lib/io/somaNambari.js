@@ -1,4 +1,3 @@
-const prompt = require('prompt-sync')();
 const SWNumber = require('../../types/number');
 const RTResult = require('../../runtimeResult');
 
@@ -13,15 +12,15 @@ function somaNambari(inst, executionContext) {
   swali = swali ? swali.toString(false) : '> ';
   let numInput = 0;
   while (true) {
-    numInput = prompt(swali);
+    numInput = inst.interpreter.io.read(swali);
     if (isNaN(numInput)) {
-      print('Jibu lako si nambari. Jaribu tena.');
+      inst.interpreter.io.write('Jibu lako si nambari. Jaribu tena.');
     } else {
       break;
     }
   }
 
-  return res.success(new SWNumber(numInput || 0));
+  return res.success(new SWNumber(Number(numInput) || 0));
 }
 
 module.exports = { method: somaNambari, args: ['swali'] };
@@ -1,7 +1,17 @@
 const SWString = require('../../../types/string');
-const SWBaseFunction = require('../../../types/base-function');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
+
+/**
+ * Converts a value to its string representation
+ * @param {SWValue} kitu value to convert
+ * @returns {String}
+ */
+function toJina(kitu) {
+  // functions are shown by their name, anonymous ones as '<isiyotambuliwa>'
+  return kitu.toString(false);
+}
 
 /**
  * Casts a value to a SWString
@@ -16,15 +26,12 @@ function Jina(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitu' is required`,
+        t('lib.required', { name: 'kitu' }),
         executionContext
       )
     );
 
-  let value = kitu.toString(false);
-  if (kitu instanceof SWBaseFunction) value = kitu.name;
-
-  return res.success(new SWString(value));
+  return res.success(new SWString(toJina(kitu)));
 }
 
-module.exports = { method: Jina, args: ['kitu'] };
+module.exports = { method: Jina, args: ['kitu'], toJina };
@@ -0,0 +1,60 @@
+const SWString = require('../../../types/string');
+const SWError = require('../../../types/error');
+const RTResult = require('../../../runtimeResult');
+const { RTError, UncaughtException } = require('../../../error');
+const { t } = require('../../../../locale');
+
+/**
+ * Creates an error of a kind defined by the program, to be thrown with `tupa`
+ * @param {SWBuiltInFunction} inst the instance of the built in function
+ * @param {Context} executionContext the calling context
+ */
+function Kosa(inst, executionContext) {
+  let res = new RTResult();
+  let kundi = executionContext.symbolTable.get('kundi');
+  let ujumbe = executionContext.symbolTable.get('ujumbe');
+
+  if (!kundi)
+    return res.failure(
+      new RTError(
+        inst.posStart,
+        inst.posEnd,
+        t('lib.required', { name: 'kundi' }),
+        executionContext
+      )
+    );
+
+  if (!(kundi instanceof SWString))
+    return res.failure(
+      new RTError(
+        kundi.posStart,
+        kundi.posEnd,
+        t('lib.mustBe', { name: 'kundi', type: t('type.string') }),
+        executionContext
+      )
+    );
+
+  if (ujumbe && !(ujumbe instanceof SWString))
+    return res.failure(
+      new RTError(
+        ujumbe.posStart,
+        ujumbe.posEnd,
+        t('lib.mustBe', { name: 'ujumbe', type: t('type.string') }),
+        executionContext
+      )
+    );
+
+  // the error belongs to the code that called Kosa()
+  let err = new UncaughtException(
+    inst.posStart,
+    inst.posEnd,
+    ujumbe ? ujumbe.value : kundi.value,
+    executionContext.parent,
+    null,
+    kundi.value
+  );
+
+  return res.success(new SWError(err));
+}
+
+module.exports = { method: Kosa, args: ['kundi', 'ujumbe'] };
@@ -3,6 +3,7 @@ const SWNumber = require('../../../types/number');
 const SWBoolean = require('../../../types/boolean');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
 
 /**
  * Casts a value to a SWNumber
@@ -17,7 +18,7 @@ function Nambari(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitu' is required`,
+        t('lib.required', { name: 'kitu' }),
         executionContext
       )
     );
@@ -37,7 +38,7 @@ function Nambari(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Illegal conversion`,
+        t('lib.illegalConversion'),
         executionContext
       )
     );
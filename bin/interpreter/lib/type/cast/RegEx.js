@@ -2,6 +2,7 @@ const SWString = require('../../../types/string');
 const SWRegEx = require('../../../types/regex');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
 
 /**
  * Casts a value to a SWRegEx
@@ -18,7 +19,7 @@ function RegEx(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'muundo' is required`,
+        t('lib.required', { name: 'muundo' }),
         executionContext
       )
     );
@@ -28,7 +29,7 @@ function RegEx(inst, executionContext) {
       new RTError(
         muundo.posStart,
         muundo.posEnd,
-        `Parameter 'muundo' must be a string`,
+        t('lib.mustBe', { name: 'muundo', type: t('type.string') }),
         executionContext
       )
     );
@@ -38,7 +39,7 @@ function RegEx(inst, executionContext) {
       new RTError(
         bendera.posStart,
         bendera.posEnd,
-        `Parameter 'bendera' must be a string`,
+        t('lib.mustBe', { name: 'bendera', type: t('type.string') }),
         executionContext
       )
     );
@@ -54,7 +55,7 @@ function RegEx(inst, executionContext) {
         new RTError(
           bendera.posStart,
           bendera.posEnd,
-          `Parameter 'bendera' contains an invalid flag value: '${char}'`,
+          t('lib.invalidFlag', { name: 'bendera', flag: char }),
           executionContext
         )
       );
@@ -2,6 +2,7 @@ const SWString = require('../../../types/string');
 const SWDateTime = require('../../../types/datetime');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
 
 /**
  * Creates a new SWDateTime value, or formats one as a SWString
@@ -28,7 +29,7 @@ function Tarehe(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Could not create date`,
+        t('lib.invalidDate'),
         executionContext
       )
     );
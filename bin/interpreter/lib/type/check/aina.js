@@ -1,6 +1,7 @@
 const SWString = require('../../../types/string');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
 
 /**
  * Returns the type of a value
@@ -15,7 +16,7 @@ function aina(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitu' is required`,
+        t('lib.required', { name: 'kitu' }),
         executionContext
       )
     );
@@ -0,0 +1,39 @@
+const SWBoolean = require('../../../types/boolean');
+const SWClass = require('../../../types/class');
+const RTResult = require('../../../runtimeResult');
+const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
+
+/**
+ * Checks if a value is an instance of a class, or of a class that inherits from it
+ * @param {SWBuiltInFunction} inst the instance of the built in function
+ * @param {Context} executionContext the calling context
+ */
+function niAina(inst, executionContext) {
+  let res = new RTResult();
+  let kitu = executionContext.symbolTable.get('kitu');
+  let darasa = executionContext.symbolTable.get('darasa');
+  if (!kitu)
+    return res.failure(
+      new RTError(
+        inst.posStart,
+        inst.posEnd,
+        t('lib.required', { name: 'kitu' }),
+        executionContext
+      )
+    );
+
+  if (!(darasa instanceof SWClass))
+    return res.failure(
+      new RTError(
+        inst.posStart,
+        inst.posEnd,
+        t('lib.mustBe', { name: 'darasa', type: t('type.class') }),
+        executionContext
+      )
+    );
+
+  return res.success(darasa.isClassOf(kitu) ? SWBoolean.TRUE : SWBoolean.FALSE);
+}
+
+module.exports = { method: niAina, args: ['kitu', 'darasa'] };
@@ -3,6 +3,7 @@ const SWObject = require('../../../types/object');
 const SWBaseFunction = require('../../../types/base-function');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
 
 /**
  * Checks if a value is an object
@@ -17,7 +18,7 @@ function niKamusi(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitu' is required`,
+        t('lib.required', { name: 'kitu' }),
         executionContext
       )
     );
@@ -2,6 +2,7 @@ const SWBoolean = require('../../../types/boolean');
 const SWList = require('../../../types/list');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
 
 /**
  * Checks if a value is a list
@@ -16,7 +17,7 @@ function niOrodha(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitu' is required`,
+        t('lib.required', { name: 'kitu' }),
         executionContext
       )
     );
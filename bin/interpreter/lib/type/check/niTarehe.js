@@ -2,6 +2,7 @@ const SWBoolean = require('../../../types/boolean');
 const SWDateTime = require('../../../types/datetime');
 const RTResult = require('../../../runtimeResult');
 const { RTError } = require('../../../error');
+const { t } = require('../../../../locale');
 
 /**
  * Checks if a value is a date
@@ -16,7 +17,7 @@ function niTarehe(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitu' is required`,
+        t('lib.required', { name: 'kitu' }),
         executionContext
       )
     );
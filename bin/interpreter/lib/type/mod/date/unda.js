@@ -2,6 +2,7 @@ const SWString = require('../../../../types/string');
 const SWDateTime = require('../../../../types/datetime');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Formats a SWDateTime value as a SWString
@@ -18,7 +19,7 @@ function unda(inst, executionContext) {
       new RTError(
         muundo.posStart,
         muundo.posEnd,
-        `Parameter 'muundo' must be a string`,
+        t('lib.mustBe', { name: 'muundo', type: t('type.string') }),
         executionContext
       )
     );
@@ -3,6 +3,7 @@ const SWList = require('../../../../types/list');
 const SWBoolean = require('../../../../types/boolean');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Returns a boolean indicating whether an iterable contains a value
@@ -19,7 +20,7 @@ function ina(inst, executionContext) {
       new RTError(
         kitu.posStart,
         kitu.posEnd,
-        `Parameter 'kitafuto' is required`,
+        t('lib.required', { name: 'kitafuto' }),
         executionContext
       )
     );
@@ -3,6 +3,7 @@ const SWList = require('../../../../types/list');
 const SWNumber = require('../../../../types/number');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Returns the index of a value in an iterable, or -1 if value does not exist
@@ -19,7 +20,7 @@ function pahala(inst, executionContext) {
       new RTError(
         kitu.posStart,
         kitu.posEnd,
-        `Parameter 'kitafuto' is required`,
+        t('lib.required', { name: 'kitafuto' }),
         executionContext
       )
     );
@@ -3,6 +3,7 @@ const SWList = require('../../../../types/list');
 const SWNumber = require('../../../../types/number');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Returns the length of a list/string
@@ -20,7 +21,7 @@ function sehemu(inst, executionContext) {
       new RTError(
         kitu.posStart,
         inst.posEnd,
-        `Parameter 'mwanzo' is required`,
+        t('lib.required', { name: 'mwanzo' }),
         executionContext
       )
     );
@@ -30,7 +31,7 @@ function sehemu(inst, executionContext) {
       new RTError(
         mwanzo.posStart,
         mwanzo.posEnd,
-        `Parameter 'mwanzo' must be an int`,
+        t('lib.mustBe', { name: 'mwanzo', type: t('type.int') }),
         executionContext
       )
     );
@@ -43,7 +44,7 @@ function sehemu(inst, executionContext) {
       new RTError(
         mwisho.posStart,
         mwisho.posEnd,
-        `Parameter 'mwisho' must be an int`,
+        t('lib.mustBe', { name: 'mwisho', type: t('type.int') }),
         executionContext
       )
     );
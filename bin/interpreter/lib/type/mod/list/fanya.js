@@ -4,6 +4,7 @@ const SWBaseFunction = require('../../../../types/base-function');
 const SWList = require('../../../../types/list');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Runs each item in a list through a function and returns the resulting list
@@ -20,7 +21,7 @@ function fanya(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'shug' is required`,
+        t('lib.required', { name: 'shug' }),
         executionContext
       )
     );
@@ -31,7 +32,7 @@ function fanya(inst, executionContext) {
       new RTError(
         shug.posStart,
         shug.posEnd,
-        `'shug' must be a function`,
+        t('lib.mustBe', { name: 'shug', type: t('type.function') }),
         executionContext
       )
     );
@@ -41,7 +42,8 @@ function fanya(inst, executionContext) {
   for (let i = 0; i < orodha.elements.length; i++) {
     let el = orodha.elements[i];
     let idx = new SWNumber(i);
-    let res = shug.execute([el, idx]);
+    // the index is only given to functions with a parameter for it
+    let res = shug.execute([el, idx].slice(0, shug.maxArgCount()));
     if (res.error) return res;
     els.push(res.value || SWNull.NULL);
   }
@@ -2,6 +2,7 @@ const SWList = require('../../../../types/list');
 const SWNumber = require('../../../../types/number');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Sorts a list using a javascripts built-in sort function
@@ -22,7 +23,7 @@ function panga(inst, executionContext) {
         new RTError(
           element.posStart,
           element.posEnd,
-          `'${element.toString(false)}' is not a number`,
+          t('lib.notANumber', { value: element.toString(false) }),
           executionContext
         )
       );
@@ -2,6 +2,7 @@ const SWString = require('../../../../types/string');
 const SWList = require('../../../../types/list');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Joins a list using a given join character
@@ -18,7 +19,7 @@ function unga(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kiungo' is required`,
+        t('lib.required', { name: 'kiungo' }),
         executionContext
       )
     );
@@ -29,7 +30,7 @@ function unga(inst, executionContext) {
       new RTError(
         kiungo.posStart,
         kiungo.posEnd,
-        `'kiungo' must be a string`,
+        t('lib.mustBe', { name: 'kiungo', type: t('type.string') }),
         executionContext
       )
     );
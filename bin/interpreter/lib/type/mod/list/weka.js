@@ -2,7 +2,8 @@ const SWList = require('../../../../types/list');
 const SWNumber = require('../../../../types/number');
 const SWBoolean = require('../../../../types/boolean');
 const RTResult = require('../../../../runtimeResult');
-const { RTError } = require('../../../../error');
+const { RTError, IndexError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Puts an element at the given index of a list
@@ -20,7 +21,7 @@ function weka(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'pahala' is required`,
+        t('lib.required', { name: 'pahala' }),
         executionContext
       )
     );
@@ -30,7 +31,7 @@ function weka(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitu' is required`,
+        t('lib.required', { name: 'kitu' }),
         executionContext
       )
     );
@@ -41,7 +42,7 @@ function weka(inst, executionContext) {
       new RTError(
         pahala.posStart,
         pahala.posEnd,
-        `'pahala' must be an int`,
+        t('lib.mustBe', { name: 'pahala', type: t('type.int') }),
         executionContext
       )
     );
@@ -49,10 +50,13 @@ function weka(inst, executionContext) {
   // check index in bounds
   if (pahala.value < 0 || pahala.value > orodha.elements.length)
     return res.failure(
-      new RTError(
+      new IndexError(
         pahala.posStart,
         pahala.posEnd,
-        `Index ${pahala.value} is out of bounds`,
+        t('runtime.indexOutOfBounds', {
+          index: pahala.value,
+          length: orodha.elements.length,
+        }),
         executionContext
       )
     );
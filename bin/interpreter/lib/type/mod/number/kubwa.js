@@ -2,6 +2,7 @@ const SWList = require('../../../../types/list');
 const SWNumber = require('../../../../types/number');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Gets the highest number in a list
@@ -19,7 +20,7 @@ function kubwa(inst, executionContext) {
       new RTError(
         orodha.posStart,
         orodha.posEnd,
-        `'orodha' must have at least one element`,
+        t('lib.emptyList', { name: 'orodha' }),
         executionContext
       )
     );
@@ -34,7 +35,7 @@ function kubwa(inst, executionContext) {
         new RTError(
           element.posStart,
           element.posEnd,
-          `'${element.toString(false)}' is not a number`,
+          t('lib.notANumber', { value: element.toString(false) }),
           executionContext
         )
       );
@@ -0,0 +1,21 @@
+const SWString = require('../../../../types/string');
+const SWObject = require('../../../../types/object');
+const SWList = require('../../../../types/list');
+const RTResult = require('../../../../runtimeResult');
+
+/**
+ * Returns a list of the names of the properties of an object
+ * @param {SWBuiltInFunction} inst the instance of the built in function
+ * @param {Context} executionContext the calling context
+ */
+function funguo(inst, executionContext) {
+  let res = new RTResult();
+  let kitu = executionContext.symbolTable.get('kitu');
+  let symbols = { ...kitu.symbolTable.symbols };
+  delete symbols.hii;
+
+  let keys = Object.keys(symbols).map((key) => new SWString(key));
+  return res.success(new SWList(keys));
+}
+
+module.exports = { method: funguo, args: ['kitu'], types: [SWObject] };
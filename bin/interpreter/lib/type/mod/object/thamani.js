@@ -0,0 +1,19 @@
+const SWObject = require('../../../../types/object');
+const SWList = require('../../../../types/list');
+const RTResult = require('../../../../runtimeResult');
+
+/**
+ * Returns a list of the values of the properties of an object
+ * @param {SWBuiltInFunction} inst the instance of the built in function
+ * @param {Context} executionContext the calling context
+ */
+function thamani(inst, executionContext) {
+  let res = new RTResult();
+  let kitu = executionContext.symbolTable.get('kitu');
+  let symbols = { ...kitu.symbolTable.symbols };
+  delete symbols.hii;
+
+  return res.success(new SWList(Object.values(symbols)));
+}
+
+module.exports = { method: thamani, args: ['kitu'], types: [SWObject] };
@@ -2,6 +2,7 @@ const SWString = require('../../../../types/string');
 const SWRegEx = require('../../../../types/regex');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Replaces first instance of
@@ -19,7 +20,7 @@ function badili(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitafuto' is required`,
+        t('lib.required', { name: 'kitafuto' }),
         executionContext
       )
     );
@@ -29,7 +30,7 @@ function badili(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'mbadala' is required`,
+        t('lib.required', { name: 'mbadala' }),
         executionContext
       )
     );
@@ -40,7 +41,7 @@ function badili(inst, executionContext) {
       new RTError(
         kitafuto.posStart,
         kitafuto.posEnd,
-        `'kitafuto' must be a string or regular expression`,
+        t('lib.mustBe', { name: 'kitafuto', type: t('type.stringOrRegex') }),
         executionContext
       )
     );
@@ -50,7 +51,7 @@ function badili(inst, executionContext) {
       new RTError(
         mbadala.posStart,
         mbadala.posEnd,
-        `'mbadala' must be a string`,
+        t('lib.mustBe', { name: 'mbadala', type: t('type.string') }),
         executionContext
       )
     );
@@ -3,6 +3,7 @@ const SWRegEx = require('../../../../types/regex');
 const SWString = require('../../../../types/string');
 const RTResult = require('../../../../runtimeResult');
 const { RTError } = require('../../../../error');
+const { t } = require('../../../../../locale');
 
 /**
  * Splits a string into a list using a given delimiter
@@ -19,7 +20,7 @@ function tenga(inst, executionContext) {
       new RTError(
         inst.posStart,
         inst.posEnd,
-        `Parameter 'kitengo' is required`,
+        t('lib.required', { name: 'kitengo' }),
         executionContext
       )
     );
@@ -30,7 +31,7 @@ function tenga(inst, executionContext) {
       new RTError(
         kitengo.posStart,
         kitengo.posEnd,
-        `'kitengo' must be a string`,
+        t('lib.mustBe', { name: 'kitengo', type: t('type.string') }),
         executionContext
       )
     );
@@ -52,6 +52,22 @@ class StringNode {
   }
 }
 
+/** node representing a string with embedded expressions */
+class InterpolationNode {
+  /**
+   * instantiates an interpolation node
+   * @param {Node[]} partNodes string and expression nodes making up the string
+   * @param {Position} posStart starting position of the string
+   * @param {Position} posEnd ending position of the string
+   */
+  constructor(partNodes, posStart, posEnd) {
+    this.partNodes = partNodes;
+
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
 /** node representing an object */
 class ObjectNode {
   constructor(propertyNodes, posStart, posEnd) {
@@ -104,6 +120,38 @@ class PropAssignNode {
   }
 }
 
+/** node representing a property with a computed name in an object, ie `[ufunguo]: thamani` */
+class ComputedPropNode {
+  /**
+   * instantiates a computed property node
+   * @param {Node} keyNode node containing the name of the property
+   * @param {Node} valueNode node containing the value of the property
+   * @param {Position} posStart the start position of the property, at its opening bracket
+   */
+  constructor(keyNode, valueNode, posStart) {
+    this.keyNode = keyNode;
+    this.valueNode = valueNode;
+
+    this.posStart = posStart;
+    this.posEnd = this.valueNode.posEnd;
+  }
+}
+
+/** node representing an object spread into another object, ie `...mtu` */
+class SpreadNode {
+  /**
+   * instantiates a spread node
+   * @param {Node} valueNode node containing the object to spread
+   * @param {Position} posStart the start position of the spread, at its ellipsis
+   */
+  constructor(valueNode, posStart) {
+    this.valueNode = valueNode;
+
+    this.posStart = posStart;
+    this.posEnd = this.valueNode.posEnd;
+  }
+}
+
 /** node representing a variable access result */
 class VarAccessNode {
   /**
@@ -140,12 +188,14 @@ class VarDefNode {
    * instantiates a variable definition node
    * @param {Token} varNameTok token containing the variable's name
    * @param {Node} valueNode node containing the value to be assigned to the variable
+   * @param {Node} patternNode pattern the value is destructured with, in place of a name
    */
-  constructor(varNameTok, valueNode) {
+  constructor(varNameTok, valueNode, patternNode = null) {
     this.varNameTok = varNameTok;
     this.valueNode = valueNode;
+    this.patternNode = patternNode;
 
-    this.posStart = this.varNameTok.posStart;
+    this.posStart = (this.varNameTok || this.patternNode).posStart;
     this.posEnd = this.valueNode.posEnd;
   }
 }
@@ -225,6 +275,24 @@ class IfNode {
   }
 }
 
+/** node representing an inline condition, ie `a kama hali sivyo b` */
+class TernaryNode {
+  /**
+   * instantiates a ternary node
+   * @param {Node} valueNode node containing the value used if the condition is true
+   * @param {Node} conditionNode node containing the condition
+   * @param {Node} elseNode node containing the value used if the condition is false
+   */
+  constructor(valueNode, conditionNode, elseNode) {
+    this.valueNode = valueNode;
+    this.conditionNode = conditionNode;
+    this.elseNode = elseNode;
+
+    this.posStart = this.valueNode.posStart;
+    this.posEnd = this.elseNode.posEnd;
+  }
+}
+
 /** node representing a FOR loop */
 class ForNode {
   /**
@@ -260,13 +328,15 @@ class ForEachNode {
    * @param {Token} varNameTok token containing the iterator's name
    * @param {Node} iterationNode node containing the values to iterate over
    * @param {Node} bodyNode node containing the expressions to be run each iteration
+   * @param {Node} patternNode pattern each value is destructured with, in place of a name
    */
-  constructor(varNameTok, iterationNode, bodyNode) {
+  constructor(varNameTok, iterationNode, bodyNode, patternNode = null) {
     this.varNameTok = varNameTok;
     this.iterationNode = iterationNode;
     this.bodyNode = bodyNode;
+    this.patternNode = patternNode;
 
-    this.posStart = this.varNameTok.posStart;
+    this.posStart = (this.varNameTok || this.patternNode).posStart;
     this.posEnd = this.bodyNode.posEnd;
   }
 }
@@ -294,11 +364,21 @@ class FuncDefNode {
    * @param {Token} varNameTok token containing the name of the function
    * @param {Token[]} argNameToks list of tokens containing names for the arguments
    * @param {Node} bodyNode node containing the expressions to run
+   * @param {Node[]} defaultNodes nodes containing the default value of each argument, or null if it has none
+   * @param {Token} restNameTok token containing the name to collect the remaining arguments in, if any
    */
-  constructor(varNameTok, argNameToks, bodyNode) {
+  constructor(
+    varNameTok,
+    argNameToks,
+    bodyNode,
+    defaultNodes = [],
+    restNameTok = null
+  ) {
     this.varNameTok = varNameTok;
     this.argNameToks = argNameToks;
     this.bodyNode = bodyNode;
+    this.defaultNodes = defaultNodes;
+    this.restNameTok = restNameTok;
 
     if (this.varNameTok) {
       this.posStart = this.varNameTok.posStart;
@@ -312,20 +392,44 @@ class FuncDefNode {
   }
 }
 
+/** node representing a class definition */
+class ClassDefNode {
+  /**
+   * instantiates a class definition node
+   * @param {Token} varNameTok token containing the name of the class
+   * @param {Node} parentNode node containing the class it inherits from, if any
+   * @param {FuncDefNode[]} methodNodes nodes containing the methods of the class
+   * @param {Position} posStart the start position of the class definition
+   * @param {Position} posEnd the end position of the class definition
+   */
+  constructor(varNameTok, parentNode, methodNodes, posStart, posEnd) {
+    this.varNameTok = varNameTok;
+    this.parentNode = parentNode;
+    this.methodNodes = methodNodes;
+
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
 /** node representing a function call */
 class CallNode {
   /**
    * instantiate a function call node
    * @param {Node} nodeToCall node representing the function to be called
    * @param {Node[]} argNodes list of nodes containing argument values
+   * @param {[]} namedArgNodes list of argument name tokens and the nodes containing their values
    */
-  constructor(nodeToCall, argNodes) {
+  constructor(nodeToCall, argNodes, namedArgNodes = []) {
     this.nodeToCall = nodeToCall;
     this.argNodes = argNodes;
+    this.namedArgNodes = namedArgNodes;
 
     this.posStart = this.nodeToCall.posStart;
 
-    if (this.argNodes.length > 0) {
+    if (this.namedArgNodes.length > 0) {
+      this.posEnd = this.namedArgNodes[this.namedArgNodes.length - 1][1].posEnd;
+    } else if (this.argNodes.length > 0) {
       this.posEnd = this.argNodes[this.argNodes.length - 1].posEnd;
     } else {
       this.posEnd = this.nodeToCall.posEnd;
@@ -333,34 +437,213 @@ class CallNode {
   }
 }
 
+/** node representing an element accessed by its index, ie `orodha[0]` */
+class IndexNode {
+  /**
+   * instantiates an index node
+   * @param {Node} baseNode node containing the list or string being indexed
+   * @param {Node} indexNode node containing the index
+   * @param {Position} posEnd position of the closing bracket
+   */
+  constructor(baseNode, indexNode, posEnd) {
+    this.baseNode = baseNode;
+    this.indexNode = indexNode;
+
+    this.posStart = this.baseNode.posStart;
+    this.posEnd = posEnd;
+  }
+}
+
+/** node representing part of a list or string, ie `orodha[1:3]` */
+class SliceNode {
+  /**
+   * instantiates a slice node
+   * @param {Node} baseNode node containing the list or string being sliced
+   * @param {Node} startNode node containing the first index, if given
+   * @param {Node} endNode node containing the index after the last one, if given
+   * @param {Position} posEnd position of the closing bracket
+   */
+  constructor(baseNode, startNode, endNode, posEnd) {
+    this.baseNode = baseNode;
+    this.startNode = startNode;
+    this.endNode = endNode;
+
+    this.posStart = this.baseNode.posStart;
+    this.posEnd = posEnd;
+  }
+}
+
+/** node representing an assignment to an index, ie `orodha[0] = 1` */
+class IndexAssignNode {
+  /**
+   * instantiates an index assignment node
+   * @param {IndexNode} indexNode node containing the list and the index being assigned to
+   * @param {Node} valueNode node containing the value to be assigned
+   */
+  constructor(indexNode, valueNode) {
+    this.indexNode = indexNode;
+    this.valueNode = valueNode;
+
+    this.posStart = this.indexNode.posStart;
+    this.posEnd = this.valueNode.posEnd;
+  }
+}
+
+/** node representing the removal of a property from an object, ie `ondoa mtu.jina` */
+class DeleteNode {
+  /**
+   * instantiates a delete node
+   * @param {Node} baseNode node containing the object to remove the property from
+   * @param {Node} keyNode node containing the name of the property
+   * @param {Position} posStart the start position of the removal, at its keyword
+   * @param {Position} posEnd the end position of the removal
+   */
+  constructor(baseNode, keyNode, posStart, posEnd) {
+    this.baseNode = baseNode;
+    this.keyNode = keyNode;
+
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
 /** node representing a try-catch block */
 class TryCatchNode {
   /**
    * instantiates a try-catch node
    * @param {Node} tryBodyNode node containing the expressions to try
-   * @param {Token} errVarNameTok token containing the name of the variable to be used to hold the error
-   * @param {Node} catchBodyNode node containing the expressions to run if try block fails
+   * @param {[]} catchCases list of cases containing the error variable's name token, the (optional) kind of error to catch and the expressions to run if it is caught
    * @param {Node} finallyBodyNode node containing the expressions to run after try/catch
    * @param {Position} posStart line/col position of the node
    * @param {Position} posEnd line/col position of the node
    */
-  constructor(
-    tryBodyNode,
-    errVarNameTok,
-    catchBodyNode,
-    finallyBodyNode,
-    posStart,
-    posEnd
-  ) {
+  constructor(tryBodyNode, catchCases, finallyBodyNode, posStart, posEnd) {
     this.tryBodyNode = tryBodyNode;
-    this.errVarNameTok = errVarNameTok;
-    this.catchBodyNode = catchBodyNode;
+    this.catchCases = catchCases;
     this.finallyBodyNode = finallyBodyNode;
     this.posStart = posStart;
     this.posEnd = posEnd;
   }
 }
 
+/** node representing a switch statement */
+class SwitchNode {
+  /**
+   * instantiates a switch node
+   * @param {Node} subjectNode node containing the value to match
+   * @param {[]} cases list of cases containing the patterns to match and the expressions to run if one matches
+   * @param {Node} defaultCase node containing the expressions to run if no case matches
+   * @param {Position} posStart line/col position of the node
+   * @param {Position} posEnd line/col position of the node
+   */
+  constructor(subjectNode, cases, defaultCase, posStart, posEnd) {
+    this.subjectNode = subjectNode;
+    this.cases = cases;
+    this.defaultCase = defaultCase;
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
+/** pattern matching values equal to a literal, ie `kesi 1` */
+class ValuePatternNode {
+  /**
+   * instantiates a value pattern
+   * @param {Node} valueNode node containing the value to compare to
+   */
+  constructor(valueNode) {
+    this.valueNode = valueNode;
+
+    this.posStart = this.valueNode.posStart;
+    this.posEnd = this.valueNode.posEnd;
+  }
+}
+
+/**
+ * pattern matching any value and binding it to a name, ie `kesi n`.
+ * the names of constants, ie `kweli`, match their value instead
+ */
+class NamePatternNode {
+  /**
+   * instantiates a name pattern
+   * @param {Token} varNameTok token containing the name to bind
+   */
+  constructor(varNameTok) {
+    this.varNameTok = varNameTok;
+
+    this.posStart = this.varNameTok.posStart;
+    this.posEnd = this.varNameTok.posEnd;
+  }
+}
+
+/** pattern matching values of a type and binding them to a name, ie `kesi Nambari n` */
+class TypePatternNode {
+  /**
+   * instantiates a type pattern
+   * @param {Token} typeNameTok token containing the name of the type
+   * @param {Token} varNameTok token containing the name to bind
+   */
+  constructor(typeNameTok, varNameTok) {
+    this.typeNameTok = typeNameTok;
+    this.varNameTok = varNameTok;
+
+    this.posStart = this.typeNameTok.posStart;
+    this.posEnd = this.varNameTok.posEnd;
+  }
+}
+
+/** pattern matching lists by their elements, ie `kesi [kwanza, ...baki]` */
+class ListPatternNode {
+  /**
+   * instantiates a list pattern
+   * @param {Node[]} elementPatterns patterns the elements have to match, in order
+   * @param {Token} restNameTok token containing the name to bind the remaining elements to, if any
+   * @param {Position} posStart line/col position of the node
+   * @param {Position} posEnd line/col position of the node
+   */
+  constructor(elementPatterns, restNameTok, posStart, posEnd) {
+    this.elementPatterns = elementPatterns;
+    this.restNameTok = restNameTok;
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
+/** pattern matching objects by their properties, ie `kesi { jina, umri }` */
+class ObjectPatternNode {
+  /**
+   * instantiates an object pattern
+   * @param {[]} propertyPatterns list of property name tokens and the patterns their values have to match.
+   * properties without a pattern are bound to their own name
+   * @param {Position} posStart line/col position of the node
+   * @param {Position} posEnd line/col position of the node
+   */
+  constructor(propertyPatterns, posStart, posEnd) {
+    this.propertyPatterns = propertyPatterns;
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
+/**
+ * pattern with a value to use when there is nothing to match, ie an element
+ * past the end of a list or a missing property: `[a, b = 0]`
+ */
+class DefaultPatternNode {
+  /**
+   * instantiates a default pattern
+   * @param {Node} pattern the pattern to match
+   * @param {Node} defaultNode node containing the value to match when there is none
+   */
+  constructor(pattern, defaultNode) {
+    this.pattern = pattern;
+    this.defaultNode = defaultNode;
+
+    this.posStart = this.pattern.posStart;
+    this.posEnd = this.defaultNode.posEnd;
+  }
+}
+
 /** node representing a return value */
 class ReturnNode {
   /**
@@ -417,27 +700,75 @@ class ThrowNode {
   }
 }
 
+/** node representing a module import */
+class ImportNode {
+  /**
+   * instantiate a module import node
+   * @param {Token} pathTok token containing the path of the module to be imported
+   * @param {Position} posStart line/col position of the node
+   * @param {Position} posEnd line/col position of the node
+   */
+  constructor(pathTok, posStart, posEnd) {
+    this.pathTok = pathTok;
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
+/** node representing a module export */
+class ExportNode {
+  /**
+   * instantiate a module export node
+   * @param {Node} nodeToExport node declaring (or accessing) the value to be exported
+   * @param {Position} posStart line/col position of the node
+   * @param {Position} posEnd line/col position of the node
+   */
+  constructor(nodeToExport, posStart, posEnd) {
+    this.nodeToExport = nodeToExport;
+    this.posStart = posStart;
+    this.posEnd = posEnd;
+  }
+}
+
 module.exports = {
   NumberNode,
   StringNode,
+  InterpolationNode,
   ObjectNode,
   ListNode,
   PropAccessNode,
   PropAssignNode,
+  ComputedPropNode,
+  SpreadNode,
   VarAccessNode,
   VarAssignNode,
   VarDefNode,
   BinOpNode,
   UnaryOpNode,
   IfNode,
+  TernaryNode,
   ForNode,
   ForEachNode,
   WhileNode,
   FuncDefNode,
+  ClassDefNode,
   CallNode,
+  IndexNode,
+  SliceNode,
+  IndexAssignNode,
+  DeleteNode,
   TryCatchNode,
+  SwitchNode,
+  ValuePatternNode,
+  NamePatternNode,
+  TypePatternNode,
+  ListPatternNode,
+  ObjectPatternNode,
+  DefaultPatternNode,
   ReturnNode,
   ContinueNode,
   BreakNode,
   ThrowNode,
+  ImportNode,
+  ExportNode,
 };
@@ -3,35 +3,52 @@ const Parser = require('../parser');
 const Context = require('./context');
 const Interpreter = require('.');
 const SymbolTable = require('./symbolTable');
+const { t } = require('../locale');
 
 const SWBuiltInFunction = require('./types/built-in-function');
 const { functions, constants } = require('./lib');
 
-/** holds all variables and their values in the global scope */
-const globalSymbolTable = new SymbolTable();
+/**
+ * Creates a global scope holding the built in functions and constants
+ * @returns {SymbolTable}
+ */
+function createGlobalSymbolTable() {
+  const symbolTable = new SymbolTable();
 
-// library injection
-for (let [libConst, value] of Object.entries(constants)) {
-  globalSymbolTable.setConstant(libConst, value);
-}
+  // library injection
+  for (let [libConst, value] of Object.entries(constants)) {
+    symbolTable.setConstant(libConst, value);
+  }
+
+  for (let fn of functions) {
+    let types = fn.types ? '$' : '';
+    let libFn = types + fn.method.name;
+    symbolTable.setConstant(
+      libFn,
+      new SWBuiltInFunction(libFn.replace('$', ''))
+    );
+  }
 
-for (let fn of functions) {
-  let types = fn.types ? '$' : '';
-  let libFn = types + fn.method.name;
-  globalSymbolTable.setConstant(
-    libFn,
-    new SWBuiltInFunction(libFn.replace('$', ''))
-  );
+  return symbolTable;
 }
 
+/** holds all variables and their values in the global scope */
+const globalSymbolTable = createGlobalSymbolTable();
+
 /**
  * Processes a file through the lexer, parser and interpreter
  * @param {String} fileName name of file to be processed
  * @param {String} text content of the file
  * @param {Boolean} temp run the program in a temporary isolated scope if true
- * @returns {[String, Error, []]}
+ * @param {Object} options
+ * @param {SymbolTable} options.symbolTable the global scope to run in, instead of the shared one
+ * @param {Object} options.io where the program writes its output and reads its input, see io.js
+ * @param {Object} options.limits the most steps, call depth and time the program can use, see Interpreter
+ * @returns {[String, Error|Error[], []]} the errors are a list when the program has syntax errors
  */
-function run(fileName, text, temp = false) {
+function run(fileName, text, temp = false, options = {}) {
+  const { symbolTable = globalSymbolTable, io, limits } = options;
+
   // Generate tokens
   const lexer = new Lexer(fileName, text);
   const [tokens, error] = lexer.makeTokens();
@@ -41,19 +58,23 @@ function run(fileName, text, temp = false) {
   // Generate abstract syntax tree
   const parser = new Parser(tokens);
   const ast = parser.parse();
-  if (ast.error) return [null, ast.error];
+  if (ast.error) return [null, ast.errors];
 
   // Run program
-  const intr = new Interpreter();
-  const context = new Context('<program>');
-  context.symbolTable = temp
-    ? new SymbolTable(globalSymbolTable)
-    : globalSymbolTable;
+  const intr = new Interpreter(symbolTable, io, limits);
+  const context = new Context(t('context.program'));
+  context.symbolTable = temp ? new SymbolTable(symbolTable) : symbolTable;
+  context.exports = [];
 
   const result = intr.visit(ast.node, context);
   const callbackQueue = intr.callbackQueue;
+  intr.watchDeadline(ast.node, context);
+
+  // an imported module with syntax errors reports all of them
+  const moduleErrors = result.error && result.error.moduleErrors;
 
-  return [result.value, result.error, callbackQueue];
+  return [result.value, moduleErrors || result.error, callbackQueue];
 }
 
 module.exports = run;
+module.exports.createGlobalSymbolTable = createGlobalSymbolTable;
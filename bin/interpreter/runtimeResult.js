@@ -13,6 +13,7 @@ class RTResult {
     this.value = null;
     this.error = null;
     this.funcReturnValue = null;
+    this.tailCall = null;
     this.loopShouldContinue = false;
     this.loopShouldBreak = false;
   }
@@ -25,6 +26,7 @@ class RTResult {
   register(res) {
     this.error = res.error;
     this.funcReturnValue = res.funcReturnValue;
+    this.tailCall = res.tailCall;
     this.loopShouldContinue = res.loopShouldBreak;
     this.loopShouldBreak = res.loopShouldBreak;
     return res.value;
@@ -50,6 +52,19 @@ class RTResult {
     return this;
   }
 
+  /**
+   * Registers a call made in tail position, to be run by the function that
+   * is returning instead of on top of it
+   * @param {SWFunction} func the function to call
+   * @param {SWValue[]} args the values of its arguments
+   * @param {Object} namedArgs the values of its named arguments, keyed by name
+   */
+  successTailCall(func, args, namedArgs = {}) {
+    this.reset();
+    this.tailCall = { func, args, namedArgs };
+    return this;
+  }
+
   /**
    * Registers a throw value
    * @param {*} value value to be thrown
@@ -89,6 +104,7 @@ class RTResult {
     return (
       this.error ||
       this.funcReturnValue ||
+      this.tailCall ||
       this.loopShouldContinue ||
       this.loopShouldBreak
     );
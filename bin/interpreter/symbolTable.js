@@ -68,6 +68,18 @@ class SymbolTable {
     this.constants[name] = true;
   }
 
+  /**
+   * lists the names of all variables visible from the current scope
+   * @param {Boolean} shallow leaves out the parent scopes' variables if true
+   * @returns {String[]}
+   */
+  names(shallow = false) {
+    let names = Object.keys(this.symbols);
+    if (!shallow && this.parent) names.push(...this.parent.names());
+
+    return [...new Set(names)];
+  }
+
   /**
    * deletes reference to variable name and value
    * @param {String} name variable name to be deleted
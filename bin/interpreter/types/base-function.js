@@ -20,6 +20,7 @@ class SWBaseFunction extends SWObject {
     super();
     this.name = name || null;
     this.interpreter = null; // here to hold the instance of the interpreter when available
+    this.scope = null; // symbol table the function was defined in. without one, it runs in its caller's
     this.typeName = 'Shughuli';
   }
 
@@ -29,7 +30,7 @@ class SWBaseFunction extends SWObject {
   generateNewContext() {
     let newContext = new Context(this.name, this.context, this.posStart);
     newContext.symbolTable = new SymbolTable(
-      newContext.parent ? newContext.parent.symbolTable : null
+      this.scope || (newContext.parent ? newContext.parent.symbolTable : null)
     );
     return newContext;
   }
@@ -73,6 +74,14 @@ class SWBaseFunction extends SWObject {
     return res.success(SWNull.NULL);
   }
 
+  /**
+   * the most positional arguments the function can be called with
+   * @returns {Number}
+   */
+  maxArgCount() {
+    return Infinity;
+  }
+
   [util.inspect.custom](depth, options) {
     return this.toString();
   }
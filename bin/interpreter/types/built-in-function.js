@@ -3,6 +3,8 @@ const colors = require('colors');
 
 const SWBaseFunction = require('./base-function');
 const RTResult = require('../runtimeResult');
+const { RTError } = require('../error');
+const { t } = require('../../locale');
 const { functions } = require('../lib');
 
 /** Built in function data type */
@@ -10,9 +12,11 @@ class SWBuiltInFunction extends SWBaseFunction {
   /**
    * instantiates a built in function
    * @param {String} name the name of the built in function
+   * @param {Object} definition the method and args of a function that is not in the library, ie one provided by an embedder
    */
-  constructor(name) {
+  constructor(name, definition = null) {
     super(name);
+    this.definition = definition;
 
     // library injection
     for (let { method, args, types = null } of functions) {
@@ -21,14 +25,35 @@ class SWBuiltInFunction extends SWBaseFunction {
       this[name] = args;
       if (types) this[`${name}_types`] = types;
     }
+
+    if (definition) {
+      this[`execute_${name}`] = definition.method;
+      this[name] = definition.args;
+    }
   }
 
   /**
    * Executes the function
    * @param {Token[]} args list of token value nodes to be used as function arguments
+   * @param {Object} namedArgs values of the named arguments, keyed by name. built in functions don't take any
    */
-  execute(args) {
+  execute(args, namedArgs = {}) {
     let res = new RTResult();
+
+    let [namedArg] = Object.keys(namedArgs);
+    if (namedArg)
+      return res.failure(
+        new RTError(
+          this.posStart,
+          this.posEnd,
+          t('runtime.builtInNamedArgument', {
+            name: namedArg,
+            function: this.name,
+          }),
+          this.context
+        )
+      );
+
     let executionContext = this.generateNewContext();
 
     let methodName = `execute_${this.name}`;
@@ -57,7 +82,7 @@ class SWBuiltInFunction extends SWBaseFunction {
    * @returns {SWBuiltInFunction}
    */
   copy() {
-    let copy = new SWBuiltInFunction(this.name);
+    let copy = new SWBuiltInFunction(this.name, this.definition);
     copy.setPosition(this.posStart, this.posEnd);
     copy.setContext(this.context);
     return copy;
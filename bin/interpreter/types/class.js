@@ -0,0 +1,161 @@
+const colors = require('colors');
+
+const SWBaseFunction = require('./base-function');
+const SWObject = require('./object');
+const RTResult = require('../runtimeResult');
+const SymbolTable = require('../symbolTable');
+const { RTError } = require('../error');
+const { t } = require('../../locale');
+
+/** name of the method that sets up new instances */
+const CONSTRUCTOR = 'unda';
+
+/** Class data type. calling a class makes a new instance of it */
+class SWClass extends SWBaseFunction {
+  /**
+   * instantiates a class
+   * @param {String} name name of the class
+   * @param {Object} methods functions defined in the class, keyed by name
+   * @param {SWClass} parentClass the class it inherits from, if any
+   */
+  constructor(name, methods = {}, parentClass = null) {
+    super(name);
+    this.methods = methods;
+    this.parentClass = parentClass;
+    this.typeName = 'Aina';
+  }
+
+  /**
+   * Creates an instance of the class and runs its constructor, if it has one.
+   * a class without a constructor takes no arguments
+   * @param {SWValue[]} args values of the positional arguments
+   * @param {Object} namedArgs values of the named arguments, keyed by name
+   * @returns {RTResult}
+   */
+  execute(args, namedArgs = {}) {
+    let res = new RTResult();
+    let instance = new SWObject()
+      .setContext(this.context)
+      .setPosition(this.posStart, this.posEnd);
+    this.bindTo(instance);
+
+    let constructor = instance.symbolTable.get(CONSTRUCTOR);
+    if (constructor) {
+      constructor = constructor
+        .copy()
+        .setContext(this.context)
+        .setPosition(this.posStart, this.posEnd);
+      constructor.interpreter = this.interpreter;
+
+      res.register(constructor.execute(args, namedArgs));
+      if (res.shouldReturn()) return res;
+    } else if (args.length) {
+      return res.failure(
+        this.argumentError(
+          t('runtime.tooManyArguments', {
+            function: this.name,
+            count: 0,
+            given: args.length,
+          })
+        )
+      );
+    } else {
+      let [name] = Object.keys(namedArgs);
+      if (name)
+        return res.failure(
+          this.argumentError(
+            t('runtime.unknownArgument', { name, function: this.name })
+          )
+        );
+    }
+
+    return res.success(instance);
+  }
+
+  /**
+   * creates an error about the arguments the class was called with,
+   * raised where it was called
+   * @param {String} details More information about the error
+   * @returns {RTError}
+   */
+  argumentError(details) {
+    return new RTError(this.posStart, this.posEnd, details, this.context);
+  }
+
+  /**
+   * makes an object an instance of the class. the methods it finds through its
+   * symbol table run with `hii` set to it, and `mzazi` set to the methods they override
+   * @param {SWObject} instance the object to make an instance
+   */
+  bindTo(instance) {
+    instance.class = this;
+    instance.typeName = this.name;
+    instance.symbolTable.parent = this.bindMethods(instance);
+  }
+
+  /**
+   * copies the methods of the class, and the ones it inherits, for an instance
+   * @param {SWObject} instance the object the methods belong to
+   * @returns {SymbolTable} holding the methods, with the inherited ones in its parent
+   */
+  bindMethods(instance) {
+    let inherited = this.parentClass
+      ? this.parentClass.bindMethods(instance)
+      : null;
+    let methods = new SymbolTable(inherited);
+
+    let mzazi = null;
+    if (inherited) {
+      mzazi = new SWObject();
+      mzazi.symbolTable.parent = inherited;
+    }
+
+    for (let [name, method] of Object.entries(this.methods)) {
+      let bound = method.copy();
+      bound.symbolTable = new SymbolTable();
+      bound.symbolTable.setConstant('hii', instance);
+      if (mzazi) bound.symbolTable.setConstant('mzazi', mzazi);
+      methods.set(name, bound);
+    }
+
+    return methods;
+  }
+
+  /**
+   * checks if a value is an instance of the class, or of a class that inherits from it
+   * @param {SWValue} value the value to check
+   * @returns {Boolean}
+   */
+  isClassOf(value) {
+    // copies of a class share its methods, so they are the same class
+    for (let cls = value.class; cls; cls = cls.parentClass) {
+      if (cls.methods === this.methods) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * creates a new instance of the class
+   * @returns {SWClass}
+   */
+  copy() {
+    let copy = new SWClass(this.name, this.methods, this.parentClass);
+    copy.symbolTable = this.symbolTable;
+    copy.interpreter = this.interpreter;
+    copy.setPosition(this.posStart, this.posEnd);
+    copy.setContext(this.context);
+    return copy;
+  }
+
+  /**
+   * string representation of the class
+   * @param {Boolean} format whether to format the name or not
+   * @returns {String}
+   */
+  toString(format = true) {
+    return format ? colors.cyan(`<aina ${this.name}>`) : this.name;
+  }
+}
+
+module.exports = SWClass;
@@ -0,0 +1,70 @@
+const util = require('util');
+
+const SWObject = require('./object');
+const SWString = require('./string');
+const SWNumber = require('./number');
+const SWNull = require('./null');
+
+/** Error data type, holds the details of an error caught in an `iwapo` block */
+class SWError extends SWObject {
+  /**
+   * instantiates an error
+   * @param {Error} error the error that was caught
+   */
+  constructor(error) {
+    let pos = error.posStart;
+    let traceback = error.generateTraceback ? error.generateTraceback() : '';
+
+    super([
+      { name: 'aina', value: new SWString(error.errorName) },
+      { name: 'kundi', value: new SWString(error.kinds()[0]) },
+      { name: 'ujumbe', value: new SWString(error.details) },
+      { name: 'faili', value: new SWString(pos.fileName) },
+      { name: 'mstari', value: new SWNumber(pos.lineNumber + 1) },
+      { name: 'safu', value: new SWNumber(pos.colNumber + 1) },
+      { name: 'mfuatano', value: new SWString(traceback.trim()) },
+      { name: 'thamani', value: error.value || SWNull.NULL },
+    ]);
+
+    this.error = error;
+    this.typeName = 'Kosa';
+  }
+
+  /**
+   * creates a new instance of the error
+   * @returns {SWError}
+   */
+  copy() {
+    let copy = new SWError(this.error);
+    copy.populateSymbols(
+      Object.entries(this.symbolTable.symbols).map(([name, value]) => ({
+        name,
+        value,
+      }))
+    );
+    copy.name = this.name;
+    copy.parent = this.parent;
+    copy.setPosition(this.posStart, this.posEnd);
+    copy.setContext(this.context);
+    return copy;
+  }
+
+  [util.inspect.custom](depth, options) {
+    return this.toString();
+  }
+
+  /**
+   * string representation of the error class
+   * @param {Boolean} expose whether to show a breakdown of the error or not
+   * @returns {String}
+   */
+  toString(expose = true) {
+    if (expose) return super.toString(expose);
+
+    let aina = this.symbolTable.get('aina');
+    let ujumbe = this.symbolTable.get('ujumbe');
+    return `${aina.toString(false)}: ${ujumbe.toString(false)}`;
+  }
+}
+
+module.exports = SWError;
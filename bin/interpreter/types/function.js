@@ -1,7 +1,10 @@
 const SWBaseFunction = require('./base-function');
+const SWList = require('./list');
 const SWNull = require('./null');
 const RTResult = require('../runtimeResult');
-const SymbolTable = require('../symbolTable');
+const { RTError } = require('../error');
+const { t } = require('../../locale');
+const { didYouMean } = require('../../utils/closestMatches');
 
 /** Function data type */
 class SWFunction extends SWBaseFunction {
@@ -11,34 +14,167 @@ class SWFunction extends SWBaseFunction {
    * @param {Node} bodyNode node containing the expressions to be run
    * @param {String[]} argNames tokens containing the argument names
    * @param {Interpreter} interpreter instance of interpreter to use to execute functions
+   * @param {Node[]} defaultNodes nodes containing the default value of each argument, or null if it has none
+   * @param {String} restName name of the list the remaining arguments are collected in, if any
    */
-  constructor(name, bodyNode, argNames, interpreter) {
+  constructor(
+    name,
+    bodyNode,
+    argNames,
+    interpreter,
+    defaultNodes = [],
+    restName = null
+  ) {
     super(name);
     this.bodyNode = bodyNode;
     this.argNames = argNames;
     this.interpreter = interpreter;
+    this.defaultNodes = defaultNodes;
+    this.restName = restName;
   }
 
   /**
    * Executes the function
    * @param {Token[]} args list of token value nodes to be used as function arguments
+   * @param {Object} namedArgs values of the named arguments, keyed by name
    */
-  execute(args) {
+  execute(args, namedArgs = {}) {
     let res = new RTResult();
-    let executionContext = this.generateNewContext();
+    let func = this;
 
-    res.register(
-      this.populateArgs(this.argNames, args, executionContext, true)
-    );
-    if (res.shouldReturn()) return res;
+    while (true) {
+      let executionContext = func.generateNewContext();
+
+      res.register(func.bindArgs(args, namedArgs, executionContext));
+      if (res.shouldReturn()) return res;
 
-    res.register(this.interpreter.visit(this.bodyNode, executionContext, this));
+      res.register(
+        func.interpreter.visit(func.bodyNode, executionContext, func)
+      );
+      if (!res.tailCall) break;
+
+      // the call in tail position takes this call's place in the call stack
+      ({ func, args, namedArgs } = res.tailCall);
+      func = func
+        .copy()
+        .setContext(this.context)
+        .setPosition(this.posStart, this.posEnd);
+    }
     if (res.shouldReturn() && res.funcReturnValue === null) return res;
 
     let returnValue = res.funcReturnValue;
     return res.success(returnValue || SWNull.NULL);
   }
 
+  /**
+   * adds the arguments into the symbol table. named arguments go to the
+   * parameters with their names, and parameters left without a value get their
+   * default, which can use the parameters before it. arguments past the last
+   * parameter go in the rest parameter, if there is one
+   * @param {SWValue[]} args values of the positional arguments
+   * @param {Object} namedArgs values of the named arguments, keyed by name
+   * @param {Context} executionContext executing context
+   * @returns {RTResult}
+   */
+  bindArgs(args, namedArgs, executionContext) {
+    let res = new RTResult();
+    let values = {};
+
+    if (args.length > this.maxArgCount())
+      return res.failure(
+        this.argumentError(
+          t('runtime.tooManyArguments', {
+            function: this.toString(false),
+            count: this.maxArgCount(),
+            given: args.length,
+          })
+        )
+      );
+
+    this.argNames.forEach((name, i) => {
+      if (i < args.length) values[name] = args[i];
+    });
+
+    for (let [name, value] of Object.entries(namedArgs)) {
+      if (!this.argNames.includes(name))
+        return res.failure(
+          this.argumentError(
+            t('runtime.unknownArgument', {
+              name,
+              function: this.toString(false),
+            }) + didYouMean(name, this.argNames)
+          )
+        );
+
+      if (values[name])
+        return res.failure(
+          this.argumentError(t('runtime.duplicateArgument', { name }))
+        );
+      values[name] = value;
+    }
+
+    for (let i = 0; i < this.argNames.length; i++) {
+      let name = this.argNames[i];
+      let value = values[name];
+
+      if (!value) {
+        if (!this.defaultNodes[i])
+          return res.failure(
+            this.argumentError(
+              t('runtime.missingArgument', {
+                name,
+                function: this.toString(false),
+              })
+            )
+          );
+
+        value = res.register(
+          this.interpreter.visit(this.defaultNodes[i], executionContext, this)
+        );
+        if (res.shouldReturn()) return res;
+      }
+
+      value.setContext(executionContext);
+      executionContext.symbolTable.set(name, value);
+    }
+
+    if (this.restName) {
+      let rest = new SWList(args.slice(this.argNames.length));
+      executionContext.symbolTable.set(this.restName, rest);
+    }
+
+    // methods see their object and the methods they override,
+    // and so do the functions made inside them
+    for (let name of ['hii', 'mzazi']) {
+      let value = this.symbolTable.get(name, true);
+      if (value) executionContext.symbolTable.set(name, value);
+    }
+
+    // pass the list in a hidden param
+    executionContext.symbolTable.set('__hoja', new SWList(args));
+
+    return res.success(SWNull.NULL);
+  }
+
+  /**
+   * the most positional arguments the function can be called with.
+   * there is no limit when it has a rest parameter
+   * @returns {Number}
+   */
+  maxArgCount() {
+    return this.restName ? Infinity : this.argNames.length;
+  }
+
+  /**
+   * creates an error about the arguments the function was called with,
+   * raised where it was called
+   * @param {String} details More information about the error
+   * @returns {RTError}
+   */
+  argumentError(details) {
+    return new RTError(this.posStart, this.posEnd, details, this.context);
+  }
+
   /**
    * creates a new instance of the function
    * @returns {SWFunction}
@@ -48,10 +184,12 @@ class SWFunction extends SWBaseFunction {
       this.name,
       this.bodyNode,
       this.argNames,
-      this.interpreter
+      this.interpreter,
+      this.defaultNodes,
+      this.restName
     );
-    copy.symbolTable = new SymbolTable();
-    copy.symbolTable.symbols = { ...this.symbolTable.symbols };
+    copy.symbolTable = this.symbolTable; // copies are the same function, so share its properties
+    copy.scope = this.scope;
     copy.setPosition(this.posStart, this.posEnd);
     copy.setContext(this.context);
     return copy;
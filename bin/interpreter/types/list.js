@@ -3,7 +3,8 @@ const util = require('util');
 const SWValue = require('./value');
 const SWBoolean = require('./boolean');
 const SWNumber = require('./number');
-const { RTError } = require('../error');
+const { IndexError } = require('../error');
+const { t } = require('../../locale');
 
 /**  List data type */
 class SWList extends SWValue {
@@ -43,10 +44,10 @@ class SWList extends SWValue {
       } catch (err) {
         return [
           null,
-          new RTError(
+          new IndexError(
             other.posStart,
             other.posEnd,
-            'Element at this index could not be removed from list because index is out of bounds',
+            t('runtime.removeOutOfBounds'),
             this.context
           ),
         ];
@@ -81,10 +82,10 @@ class SWList extends SWValue {
       if (!this.elements[other.value])
         return [
           null,
-          new RTError(
+          new IndexError(
             other.posStart,
             other.posEnd,
-            'Element at this index could not be retrieved from list because index is out of bounds',
+            t('runtime.getOutOfBounds'),
             this.context
           ),
         ];
@@ -95,6 +96,50 @@ class SWList extends SWValue {
     }
   }
 
+  /**
+   * gets the element at an index. negative indices count from the end
+   * @param {SWNumber} index index of the element
+   * @returns {SWValue}
+   */
+  getIndex(index) {
+    let [position, error] = this.resolveIndex(index, this.elements.length);
+    if (error) return [null, error];
+
+    return [this.elements[position], null];
+  }
+
+  /**
+   * gets a new list with the elements from start up to, but not including, end
+   * @param {SWNumber} start index of the first element, if given
+   * @param {SWNumber} end index after the last element, if given
+   * @returns {SWList}
+   */
+  getSlice(start, end) {
+    let [positions, error] = this.resolveSlice(
+      start,
+      end,
+      this.elements.length
+    );
+    if (error) return [null, error];
+
+    let elements = this.elements.slice(...positions);
+    return [new SWList(elements).setContext(this.context), null];
+  }
+
+  /**
+   * replaces the element at an index. negative indices count from the end
+   * @param {SWNumber} index index of the element
+   * @param {SWValue} value the new element
+   * @returns {SWValue}
+   */
+  setIndex(index, value) {
+    let [position, error] = this.resolveIndex(index, this.elements.length);
+    if (error) return [null, error];
+
+    this.elements[position] = value;
+    return [value, null];
+  }
+
   /**
    * returns true if a value is falsy, and false if a value is truthy
    * @returns {SWBoolean}
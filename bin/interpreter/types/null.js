@@ -51,6 +51,14 @@ class SWNull extends SWValue {
     return [other.setContext(this.context), null];
   }
 
+  /**
+   * returns true, since null is always falsy
+   * @returns {SWBoolean}
+   */
+  notted() {
+    return [new SWBoolean(true).setContext(this.context), null];
+  }
+
   /**
    * creates a new instance of the null
    * @returns {SWNull}
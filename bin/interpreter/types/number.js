@@ -3,7 +3,8 @@ const colors = require('colors');
 
 const SWValue = require('./value');
 const SWBoolean = require('./boolean');
-const { RTError } = require('../error');
+const { DivisionByZeroError } = require('../error');
+const { t } = require('../../locale');
 
 /**  Number data type */
 class SWNumber extends SWValue {
@@ -77,10 +78,10 @@ class SWNumber extends SWValue {
       if (other.value === 0) {
         return [
           null,
-          new RTError(
+          new DivisionByZeroError(
             other.posStart,
             other.posEnd,
-            'Division by zero',
+            t('runtime.divisionByZero'),
             this.context
           ),
         ];
@@ -255,6 +256,22 @@ class SWNumber extends SWValue {
     return [new SWBoolean(this.value === 0).setContext(this.context), null];
   }
 
+  /**
+   * returns a new number with the opposite sign
+   * @returns {SWNumber}
+   */
+  negated() {
+    return [new SWNumber(-this.value).setContext(this.context), null];
+  }
+
+  /**
+   * returns a new number with the same value
+   * @returns {SWNumber}
+   */
+  plussed() {
+    return [new SWNumber(this.value).setContext(this.context), null];
+  }
+
   /**
    * creates a new instance of the number
    * @returns {SWNumber}
@@ -2,7 +2,16 @@ const util = require('util');
 
 const SWValue = require('./value');
 const SWBoolean = require('./boolean');
+const SWNumber = require('./number');
+const SWString = require('./string');
+const SWNull = require('./null');
 const SymbolTable = require('../symbolTable');
+const { RTError } = require('../error');
+const { t } = require('../../locale');
+const { didYouMean } = require('../../utils/closestMatches');
+
+/** property names that can be written without quotes */
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
 /** Object data type */
 class SWObject extends SWValue {
@@ -16,12 +25,14 @@ class SWObject extends SWValue {
     this.populateSymbols(symbols);
     this.name = null;
     this.parent = null;
+    this.class = null; // class the object is an instance of, if any
     this.typeName = 'Kamusi';
   }
 
   /**
-   * adds symbols to an object's symbol table
-   * @param {Node[]} symbols nodes containing the properties of the object
+   * adds symbols to an object's symbol table. a property given more than
+   * once keeps its last value, ie after an object spread into this one
+   * @param {Object[]} symbols names and values of the properties of the object
    */
   populateSymbols(symbols) {
     for (let { name, value } of symbols) {
@@ -52,6 +63,92 @@ class SWObject extends SWValue {
     return [new SWBoolean(!this.isTrue()).setContext(this.context), null];
   }
 
+  /**
+   * gets the value of the property a key names, ie `mtu["jina"]`
+   * @param {SWString} key name of the property
+   * @returns {SWValue}
+   */
+  getIndex(key) {
+    let [name, error] = this.resolveKey(key);
+    if (error) return [null, error];
+
+    let value = name === 'hii' ? null : this.symbolTable.get(name);
+    if (!value) {
+      let names = this.symbolTable.names().filter((name) => name !== 'hii');
+      return [
+        null,
+        new RTError(
+          key.posStart,
+          key.posEnd,
+          t('runtime.propertyOfUndefined', { name }) + didYouMean(name, names),
+          this.context
+        ),
+      ];
+    }
+
+    return [value, null];
+  }
+
+  /**
+   * sets the property a key names, adding it if the object doesn't have it yet
+   * @param {SWString} key name of the property
+   * @param {SWValue} value the new value of the property
+   * @returns {SWValue}
+   */
+  setIndex(key, value) {
+    let [name, error] = this.resolveKey(key);
+    if (error) return [null, error];
+
+    this.populateSymbols([{ name, value }]);
+    this.updateParent();
+    return [value, null];
+  }
+
+  /**
+   * removes the property a key names. removing a property the object doesn't have does nothing
+   * @param {SWString} key name of the property
+   * @returns {SWValue} the value of the removed property
+   */
+  deleteIndex(key) {
+    let [name, error] = this.resolveKey(key);
+    if (error) return [null, error];
+
+    let value = this.symbolTable.get(name, true);
+    this.symbolTable.remove(name);
+    this.updateParent();
+    return [value || SWNull.NULL, null];
+  }
+
+  /**
+   * Turns a key into the name of a property. numbers name the property
+   * written with their digits, ie 1 names "1"
+   * @param {SWValue} key the string or number naming the property
+   * @returns {[String, RTError]}
+   */
+  resolveKey(key) {
+    if (!(key instanceof SWString) && !(key instanceof SWNumber))
+      return [
+        null,
+        new RTError(
+          key.posStart,
+          key.posEnd,
+          t('runtime.propertyName', { type: key.typeName }),
+          this.context
+        ),
+      ];
+
+    return [String(key.value), null];
+  }
+
+  /**
+   * puts the object back where it is stored, ie in a variable, after it was
+   * changed. objects are copied when they are read, so the change is kept.
+   * objects that aren't stored under their name anymore are left where they are
+   */
+  updateParent() {
+    if (this.parent && this.name in this.parent) this.parent[this.name] = this;
+  }
+
   /**
    * creates a new instance of the object
    * @returns {SWObject}
@@ -63,6 +160,8 @@ class SWObject extends SWValue {
     let copy = new SWObject(symbolMap);
     copy.name = this.name;
     copy.parent = this.parent;
+    copy.symbolTable.parent = this.symbolTable.parent; // ie the methods `mzazi` holds
+    if (this.class) this.class.bindTo(copy); // its methods work on the copy
     copy.setPosition(this.posStart, this.posEnd);
     copy.setContext(this.context);
     return copy;
@@ -85,8 +184,16 @@ class SWObject extends SWValue {
     let s = entries.length ? ' ' : ''; // spaces to be shown if object has values
     let output = [];
     for (let [name, value] of entries) {
-      output.push(`${name}: ${value.toString()}`);
+      // names that aren't identifiers, ie with spaces, are quoted
+      let key = IDENTIFIER.test(name) ? name : JSON.stringify(name);
+      output.push(`${key}: ${value.toString()}`);
     }
+
+    // instances show their class
+    if (this.class)
+      return expose
+        ? `${this.class.name} {${s}${output.join(', ')}${s}}`
+        : `[${this.class.name}]`;
     return expose ? `{${s}${output.join(', ')}${s}}` : `[SWObject]`;
   }
 }
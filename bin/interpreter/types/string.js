@@ -5,6 +5,7 @@ const SWValue = require('./value');
 const SWNumber = require('./number');
 const SWBoolean = require('./boolean');
 const { RTError } = require('../error');
+const { t } = require('../../locale');
 
 /**  String data type */
 class SWString extends SWValue {
@@ -47,7 +48,7 @@ class SWString extends SWValue {
           new RTError(
             other.posStart,
             other.posEnd,
-            `Invalid repeat count (${other.value})`,
+            t('runtime.repeatCount', { count: other.value }),
             this.context
           ),
         ];
@@ -117,6 +118,48 @@ class SWString extends SWValue {
     }
   }
 
+  /**
+   * gets the character at an index. negative indices count from the end
+   * @param {SWNumber} index index of the character
+   * @returns {SWString}
+   */
+  getIndex(index) {
+    let [position, error] = this.resolveIndex(index, this.value.length);
+    if (error) return [null, error];
+
+    return [new SWString(this.value[position]).setContext(this.context), null];
+  }
+
+  /**
+   * gets the part of the string from start up to, but not including, end
+   * @param {SWNumber} start index of the first character, if given
+   * @param {SWNumber} end index after the last character, if given
+   * @returns {SWString}
+   */
+  getSlice(start, end) {
+    let [positions, error] = this.resolveSlice(start, end, this.value.length);
+    if (error) return [null, error];
+
+    let value = this.value.slice(...positions);
+    return [new SWString(value).setContext(this.context), null];
+  }
+
+  /**
+   * strings can't be changed, so their characters can't be replaced
+   * @param {SWNumber} index index of the character
+   */
+  setIndex(index) {
+    return [
+      null,
+      new RTError(
+        this.posStart,
+        index.posEnd,
+        t('runtime.stringAssign'),
+        this.context
+      ),
+    ];
+  }
+
   /**
    * returns true if a value is falsy, and false if a value is truthy
    * @returns {SWBoolean}
@@ -157,20 +200,7 @@ class SWString extends SWValue {
    * @returns {String}
    */
   toString(showQuotes = true) {
-    const escapes = {
-      '\\n': '\n',
-      '\\t': '\t',
-    };
-
-    // this allows string objects to contain raw escapes in their value,
-    // so they can be used to create RegEx patterns
-    // they clean themselves (parse any special escape chars) when printed out
-    let escapedValue = this.value;
-    for (let [esc, val] of Object.entries(escapes)) {
-      let reg = new RegExp('\\' + esc, 'g');
-      escapedValue = escapedValue.replace(reg, val);
-    }
-    return showQuotes ? colors.green(`"${escapedValue}"`) : escapedValue;
+    return showQuotes ? colors.green(`"${this.value}"`) : this.value;
   }
 }
 
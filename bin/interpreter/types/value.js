@@ -1,5 +1,6 @@
 const RTResult = require('../runtimeResult');
-const { RTError } = require('../error');
+const { RTError, IndexError } = require('../error');
+const { t } = require('../../locale');
 
 /**  Value base type */
 class SWValue {
@@ -133,7 +134,121 @@ class SWValue {
    * not supported on this data type
    */
   notted() {
-    return [null, this.illegalOperation(this)];
+    return [null, this.illegalOperation(null, '!')];
+  }
+
+  /**
+   * not supported on this data type
+   */
+  negated() {
+    return [null, this.illegalOperation(null, '-')];
+  }
+
+  /**
+   * not supported on this data type
+   */
+  plussed() {
+    return [null, this.illegalOperation(null, '+')];
+  }
+
+  /**
+   * not supported on this data type
+   */
+  getIndex(index) {
+    return [null, this.illegalOperation(index)];
+  }
+
+  /**
+   * not supported on this data type
+   */
+  getSlice(start, end) {
+    return [null, this.illegalOperation()];
+  }
+
+  /**
+   * not supported on this data type
+   */
+  setIndex(index, value) {
+    return [null, this.illegalOperation(index)];
+  }
+
+  /**
+   * not supported on this data type
+   */
+  deleteIndex(index) {
+    return [null, this.illegalOperation(index)];
+  }
+
+  /**
+   * Turns an index into a position in the value, counting negative indices from the end
+   * @param {SWValue} index the index to check
+   * @param {Number} length the number of elements or characters in the value
+   * @returns {[Number, RTError]}
+   */
+  resolveIndex(index, length) {
+    if (!Number.isInteger(index.value))
+      return [
+        null,
+        new RTError(
+          index.posStart,
+          index.posEnd,
+          t('runtime.indexType'),
+          this.context
+        ),
+      ];
+
+    let position = index.value < 0 ? index.value + length : index.value;
+    if (position < 0 || position >= length)
+      return [
+        null,
+        new IndexError(
+          index.posStart,
+          index.posEnd,
+          t('runtime.indexOutOfBounds', { index: index.value, length }),
+          this.context
+        ),
+      ];
+
+    return [position, null];
+  }
+
+  /**
+   * Turns the bounds of a slice into positions in the value. negative bounds count
+   * from the end, missing ones are the start and end of the value, and bounds
+   * past either end stop there
+   * @param {SWValue} start the first index in the slice, if given
+   * @param {SWValue} end the index after the last one in the slice, if given
+   * @param {Number} length the number of elements or characters in the value
+   * @returns {[Number[], RTError]}
+   */
+  resolveSlice(start, end, length) {
+    let positions = [];
+
+    for (let [bound, fallback] of [
+      [start, 0],
+      [end, length],
+    ]) {
+      if (!bound) {
+        positions.push(fallback);
+        continue;
+      }
+
+      if (!Number.isInteger(bound.value))
+        return [
+          null,
+          new RTError(
+            bound.posStart,
+            bound.posEnd,
+            t('runtime.indexType'),
+            this.context
+          ),
+        ];
+
+      let position = bound.value < 0 ? bound.value + length : bound.value;
+      positions.push(Math.min(Math.max(position, 0), length));
+    }
+
+    return [positions, null];
   }
 
   /**
@@ -166,13 +281,18 @@ class SWValue {
 
   /**
    * Unsupported operation error
+   * @param {SWValue} other the other operand, if any
+   * @param {String} operator the unary operator that was used, if any
+   * @returns {RTError}
    */
-  illegalOperation(other = null) {
+  illegalOperation(other = null, operator = null) {
     if (!other) other = this;
     return new RTError(
       this.posStart,
       other.posEnd,
-      `Illegal operation`,
+      operator
+        ? t('runtime.illegalUnary', { operator, type: this.typeName })
+        : t('runtime.illegalOperation'),
       this.context
     );
   }
@@ -4,6 +4,7 @@ const LEX = require('./lexemes');
 const Token = require('./token');
 const Position = require('./position');
 const { IllegalCharError, ExpectedCharError } = require('../interpreter/error');
+const { t, either } = require('../locale');
 
 /**
  * Performs a lexical analysis to ensure correct syntax of the programming language
@@ -70,39 +71,124 @@ class Lexer {
   }
 
   /**
-   * generates a string after encountering double quotes in the text
-   * @returns {Token}
+   * generates a string after encountering double quotes in the text.
+   * strings with embedded expressions, ie ${expr}, generate a template token
+   * holding the string parts and the tokens of each expression
+   * @returns {[Token, Error]}
    */
   makeString() {
     let string = '';
+    let parts = [];
+    let partStart = this.pos.copy();
     let posStart = this.pos.copy();
-    let escapeCharacter = false;
     this.advance();
 
     while (
       this.currentChar !== null &&
-      (!LEX.doubleQuotes.test(this.currentChar) || escapeCharacter)
+      !LEX.doubleQuotes.test(this.currentChar)
     ) {
-      if (escapeCharacter) {
-        if (LEX.doubleQuotes.test(this.currentChar)) {
-          string += this.currentChar;
-        } else {
-          string += '\\' + this.currentChar;
-        }
-        escapeCharacter = false;
+      if (LEX.backSlash.test(this.currentChar)) {
+        let [char, error] = this.makeEscape();
+        if (error) return [null, error];
+        string += char;
+        continue;
+      } else if (
+        LEX.dollar.test(this.currentChar) &&
+        LEX.leftCurly.test(this.text[this.pos.idx + 1])
+      ) {
+        if (string)
+          parts.push(new Token(TT.STRING, string, partStart, this.pos.copy()));
+        string = '';
+
+        let exprStart = this.pos.copy();
+        this.advance();
+        this.advance();
+
+        let [exprTokens, error] = this.collectTokens(true);
+        if (error) return [null, error];
+        if (this.currentChar === null)
+          return [
+            null,
+            new ExpectedCharError(
+              exprStart,
+              this.pos,
+              `'${LEX.rightCurly.source.replace('\\', '')}'`
+            ),
+          ];
+
+        exprTokens.push(new Token(TT.EOF, null, this.pos.copy()));
+        parts.push(exprTokens);
+        partStart = this.pos.copy(); // the closing curly is skipped below
       } else {
-        if (LEX.backSlash.test(this.currentChar)) {
-          escapeCharacter = true;
-        } else {
-          string += this.currentChar;
-        }
+        string += this.currentChar;
       }
 
       this.advance();
     }
 
     this.advance();
-    return new Token(TT.STRING, string, posStart, this.pos);
+
+    if (!parts.length)
+      return [new Token(TT.STRING, string, posStart, this.pos), null];
+
+    if (string)
+      parts.push(new Token(TT.STRING, string, partStart, this.pos.copy()));
+    return [new Token(TT.TEMPLATE, parts, posStart, this.pos), null];
+  }
+
+  /**
+   * reads an escape sequence after encountering a backslash in a string
+   * @returns {[String, Error]}
+   */
+  makeEscape() {
+    let posStart = this.pos.copy();
+    this.advance();
+
+    let char = this.currentChar;
+    if (char !== null && LEX.escapes.hasOwnProperty(char)) {
+      this.advance();
+      return [LEX.escapes[char], null];
+    }
+
+    // unicode code points, ie \u{1F600}
+    if (char !== null && LEX.unicode.test(char)) {
+      this.advance();
+
+      if (LEX.leftCurly.test(this.currentChar)) {
+        let hex = '';
+        this.advance();
+
+        while (
+          this.currentChar !== null &&
+          LEX.hexDigits.test(this.currentChar)
+        ) {
+          hex += this.currentChar;
+          this.advance();
+        }
+
+        let codePoint = parseInt(hex, 16);
+        if (LEX.rightCurly.test(this.currentChar) && codePoint <= 0x10ffff) {
+          this.advance();
+          return [String.fromCodePoint(codePoint), null];
+        }
+      }
+
+      return [
+        null,
+        new ExpectedCharError(posStart, this.pos, t('lexer.codePoint')),
+      ];
+    }
+
+    if (char !== null) this.advance();
+    let escapes = Object.keys(LEX.escapes).map((esc) => `'\\${esc}'`);
+    return [
+      null,
+      new ExpectedCharError(
+        posStart,
+        this.pos,
+        either([...escapes, "'\\u{...}'"])
+      ),
+    ];
   }
 
   /**
@@ -186,7 +272,7 @@ class Lexer {
   }
 
   /**
-   * generates an EQ/EE token after encountering an equals sign in the text
+   * generates an EQ/EE/ARROW token after encountering an equals sign in the text
    * @returns {Token}
    */
   makeEquals() {
@@ -197,6 +283,9 @@ class Lexer {
     if (LEX.equals.test(this.currentChar)) {
       this.advance();
       tokType = TT.EE;
+    } else if (LEX.rightArrow.test(this.currentChar)) {
+      this.advance();
+      tokType = TT.ARROW;
     }
 
     return new Token(tokType, null, posStart, this.pos);
@@ -236,7 +325,45 @@ class Lexer {
     return new Token(tokType, null, posStart, this.pos);
   }
 
-  /** makes a div token or skips a comment block */
+  /**
+   * generates a DOT token, or an ELLIPSIS token when there are three dots in a row
+   * @returns {Token}
+   */
+  makeDot() {
+    let posStart = this.pos.copy();
+    let length = this.text.startsWith(LEX.ellipsis, this.pos.idx)
+      ? LEX.ellipsis.length
+      : 1;
+
+    for (let i = 0; i < length; i++) this.advance();
+    return new Token(
+      length > 1 ? TT.ELLIPSIS : TT.DOT,
+      null,
+      posStart,
+      this.pos
+    );
+  }
+
+  /**
+   * generates an arithmetic operator token, or its compound assignment token
+   * if the operator is followed by an equals sign, ie '+='
+   * @param {String} tokType type of the operator token
+   * @param {String} assignType type of the compound assignment token
+   * @returns {Token}
+   */
+  makeOperator(tokType, assignType) {
+    let posStart = this.pos.copy();
+    this.advance();
+
+    if (LEX.equals.test(this.currentChar)) {
+      this.advance();
+      tokType = assignType;
+    }
+
+    return new Token(tokType, null, posStart, this.pos);
+  }
+
+  /** makes a div/div-assign token or skips a comment block */
   makeDivide() {
     let posStart = this.pos.copy();
     this.advance();
@@ -246,6 +373,9 @@ class Lexer {
       LEX.asterisk.test(this.currentChar)
     ) {
       this.skipComment();
+    } else if (LEX.equals.test(this.currentChar)) {
+      this.advance();
+      return new Token(TT.DIV_EQ, null, posStart, this.pos);
     } else {
       return new Token(TT.DIV, null, posStart);
     }
@@ -290,7 +420,21 @@ class Lexer {
    * @returns {[Token[], Error]}
    */
   makeTokens() {
+    let [tokens, error] = this.collectTokens();
+    if (error) return [[], error];
+
+    tokens.push(new Token(TT.EOF, null, this.pos));
+    return [tokens, null];
+  }
+
+  /**
+   * goes through each char in the text and generates its tokens
+   * @param {Boolean} embedded stop at the curly bracket closing an embedded expression if true
+   * @returns {[Token[], Error]}
+   */
+  collectTokens(embedded = false) {
     let tokens = [];
+    let curlyDepth = 0;
 
     while (this.currentChar !== null) {
       if (LEX.spacesAndTabs.test(this.currentChar)) {
@@ -303,25 +447,22 @@ class Lexer {
       } else if (LEX.alpha.test(this.currentChar)) {
         tokens.push(this.makeIdentifier());
       } else if (LEX.doubleQuotes.test(this.currentChar)) {
-        tokens.push(this.makeString());
+        let [tok, error] = this.makeString();
+        if (error) return [[], error];
+        tokens.push(tok);
       } else if (LEX.plus.test(this.currentChar)) {
-        tokens.push(new Token(TT.PLUS, null, this.pos));
-        this.advance();
+        tokens.push(this.makeOperator(TT.PLUS, TT.PLUS_EQ));
       } else if (LEX.hyphen.test(this.currentChar)) {
-        tokens.push(new Token(TT.MINUS, null, this.pos));
-        this.advance();
+        tokens.push(this.makeOperator(TT.MINUS, TT.MINUS_EQ));
       } else if (LEX.asterisk.test(this.currentChar)) {
-        tokens.push(new Token(TT.MUL, null, this.pos));
-        this.advance();
+        tokens.push(this.makeOperator(TT.MUL, TT.MUL_EQ));
       } else if (LEX.forwardSlash.test(this.currentChar)) {
         let tok = this.makeDivide();
         if (tok) tokens.push(tok);
       } else if (LEX.caret.test(this.currentChar)) {
-        tokens.push(new Token(TT.POW, null, this.pos));
-        this.advance();
+        tokens.push(this.makeOperator(TT.POW, TT.POW_EQ));
       } else if (LEX.modulo.test(this.currentChar)) {
-        tokens.push(new Token(TT.MOD, null, this.pos));
-        this.advance();
+        tokens.push(this.makeOperator(TT.MOD, TT.MOD_EQ));
       } else if (LEX.leftParen.test(this.currentChar)) {
         tokens.push(new Token(TT.LPAREN, null, this.pos));
         this.advance();
@@ -335,14 +476,16 @@ class Lexer {
         tokens.push(new Token(TT.RSQUARE, null, this.pos));
         this.advance();
       } else if (LEX.leftCurly.test(this.currentChar)) {
+        curlyDepth++;
         tokens.push(new Token(TT.LCURL, null, this.pos));
         this.advance();
       } else if (LEX.rightCurly.test(this.currentChar)) {
+        if (embedded && curlyDepth === 0) break;
+        curlyDepth--;
         tokens.push(new Token(TT.RCURL, null, this.pos));
         this.advance();
       } else if (LEX.dot.test(this.currentChar)) {
-        tokens.push(new Token(TT.DOT, null, this.pos));
-        this.advance();
+        tokens.push(this.makeDot());
       } else if (LEX.col.test(this.currentChar)) {
         tokens.push(new Token(TT.COL, null, this.pos));
         this.advance();
@@ -373,7 +516,6 @@ class Lexer {
       }
     }
 
-    tokens.push(new Token(TT.EOF, null, this.pos));
     return [tokens, null];
   }
 }
@@ -3,6 +3,7 @@ module.exports = {
   digits: /[0-9]/,
   alpha: /[A-Za-z_]/,
   dot: /\./,
+  ellipsis: '...',
   doubleQuotes: /"/,
   plus: /\+/,
   hyphen: /\-/,
@@ -10,6 +11,9 @@ module.exports = {
   modulo: /%/,
   forwardSlash: /\//,
   backSlash: /\\/,
+  dollar: /\$/,
+  unicode: /u/,
+  hexDigits: /[0-9A-Fa-f]/,
   caret: /\^/,
   leftParen: /\(/,
   rightParen: /\)/,
@@ -29,6 +33,14 @@ module.exports = {
   line: /\r?\n/g,
   lineEndings: /@/, // as far as lexer is concerned
   spacesAndTabs: /\s|\t/, // ignored
+  escapes: {
+    n: '\n',
+    t: '\t',
+    r: '\r',
+    '\\': '\\',
+    '"': '"',
+    $: '$',
+  },
   keywords: {
     let: 'wacha',
     if: 'kama',
@@ -47,5 +59,16 @@ module.exports = {
     continue: 'endelea',
     break: 'ondoka',
     throw: 'tupa',
+    switch: 'chagua',
+    case: 'kesi',
+    default: 'kawaida',
+    import: 'leta',
+    export: 'peleka',
+  },
+  // words that only act as keywords where they start a construct, so they can still be used as names
+  contextual: {
+    class: 'aina',
+    extends: 'anarithi',
+    delete: 'ondoa',
   },
 };
@@ -12,10 +12,10 @@ class Position {
    * @param {String} fileName current file name
    * @param {String} fileText current file text content
    */
-  constructor(idx, lineNumber, colNumber, fileName, fileText) {
-    this.idx = idx || -1;
-    this.lineNumber = lineNumber || 0;
-    this.colNumber = colNumber || -1;
+  constructor(idx = -1, lineNumber = 0, colNumber = -1, fileName, fileText) {
+    this.idx = idx;
+    this.lineNumber = lineNumber;
+    this.colNumber = colNumber;
     this.fileName = fileName;
     this.fileText = fileText;
   }
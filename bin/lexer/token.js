@@ -17,12 +17,12 @@ class Token {
     this.value = value;
 
     if (posStart) {
-      this.posStart = posStart;
+      this.posStart = posStart.copy(); // the lexer keeps moving its own position
       this.posEnd = posStart.copy();
       this.posEnd.advance();
     }
 
-    if (posEnd) this.posEnd = posEnd;
+    if (posEnd) this.posEnd = posEnd.copy();
   }
 
   /**
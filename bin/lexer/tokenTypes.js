@@ -9,6 +9,9 @@ module.exports = {
   /** String */
   STRING: 'STRING',
 
+  /** String with embedded expressions */
+  TEMPLATE: 'TEMPLATE',
+
   /** Identifier */
   IDENTIFIER: 'IDENTIFIER',
 
@@ -81,6 +84,12 @@ module.exports = {
   /** Comma */
   COMMA: 'COMMA',
 
+  /** Ellipsis, ie the rest of a list */
+  ELLIPSIS: 'ELLIPSIS',
+
+  /** Arrow between the parameters and the body of a lambda */
+  ARROW: 'ARROW',
+
   /** AND symbol */
   AND: 'AND',
 
@@ -90,6 +99,24 @@ module.exports = {
   /** NOT symbol */
   NOT: 'NOT',
 
+  /** Add and assign symbol */
+  PLUS_EQ: 'PLUS_EQ',
+
+  /** Subtract and assign symbol */
+  MINUS_EQ: 'MINUS_EQ',
+
+  /** Multiply and assign symbol */
+  MUL_EQ: 'MUL_EQ',
+
+  /** Divide and assign symbol */
+  DIV_EQ: 'DIV_EQ',
+
+  /** Modulo and assign symbol */
+  MOD_EQ: 'MOD_EQ',
+
+  /** Power and assign symbol */
+  POW_EQ: 'POW_EQ',
+
   /** End of file */
   EOF: 'EOF',
 
@@ -0,0 +1,124 @@
+/** English diagnostic messages, keyed by error code */
+module.exports = {
+  // error names
+  'error.illegalChar': 'Illegal Character',
+  'error.expectedChar': 'Expected Character',
+  'error.invalidSyntax': 'Invalid Syntax',
+  'error.runtime': 'Runtime Error',
+  'error.uncaught': 'Uncaught Exception',
+  'error.limit': 'Limit Exceeded',
+
+  // error output
+  'output.file': 'File "{file}"',
+  'output.frame': 'File "{file}", in {name}',
+  'output.traceback': 'Traceback (most recent call last):',
+  'output.repeated': '[Previous line repeated {count} more times]',
+  'output.omitted': '[{count} more lines omitted]',
+
+  // context names
+  'context.program': '<program>',
+  'context.try': '<try>',
+  'context.module': '<module {name}>',
+
+  // lists, ie 'a', 'b' or 'c'
+  'list.or': 'or',
+
+  // hints added to error messages
+  'hint.didYouMean': 'Did you mean {names}?',
+
+  // lexer
+  'lexer.codePoint': "a hexadecimal code point in '\\u{...}'",
+
+  // parser
+  'syntax.expected': 'Expected {items}',
+  'syntax.unexpected': 'Unexpected {item}',
+  'syntax.positionalAfterNamed':
+    "Positional arguments can't come after named arguments",
+  'syntax.deleteTarget':
+    "Only properties can be removed, ie 'mtu.jina' or 'mtu[ufunguo]'",
+  'syntax.exportPattern':
+    "Destructured names can't be exported together, export each one on its own, ie '{keyword} a'",
+  'token.INT': 'int',
+  'token.FLOAT': 'float',
+  'token.STRING': 'string',
+  'token.TEMPLATE': 'string',
+  'token.IDENTIFIER': 'identifier',
+  'token.KEYWORD': 'keyword',
+  'token.NEWLINE': 'new line',
+  'token.EOF': 'end of file',
+
+  // runtime
+  'runtime.illegalOperation': 'Illegal operation',
+  'runtime.illegalUnary':
+    "Illegal operation: '{operator}' can't be used on type '{type}'",
+  'runtime.repeatCount': 'Invalid repeat count ({count})',
+  'runtime.divisionByZero': 'Division by zero',
+  'runtime.removeOutOfBounds':
+    'Element at this index could not be removed from list because index is out of bounds',
+  'runtime.getOutOfBounds':
+    'Element at this index could not be retrieved from list because index is out of bounds',
+  'runtime.indexOutOfBounds':
+    'Index {index} is out of bounds for a length of {length}',
+  'runtime.indexType': 'Indexes must be whole numbers',
+  'runtime.stringAssign': "The characters of a string can't be changed",
+  'runtime.propertyName':
+    "Property names must be strings or numbers, not '{type}'",
+  'runtime.spreadObject': "Only objects can be spread, not '{type}'",
+  'runtime.notDefined': "'{name}' is not defined",
+  'runtime.notSupported': "'{name}' not supported on type '{type}'",
+  'runtime.notAnObject': "'{name}' is not an object",
+  'runtime.propertyOfUndefined': "Cannot get property '{name}' of undefined",
+  'runtime.constant': "Cannot change value of constant '{name}'",
+  'runtime.redeclare': "Cannot re-declare '{name}'",
+  'runtime.notIterable': "Cannot iterate over non-iterable '{value}'",
+  'runtime.notAMethod': "'{name}' is not a method",
+  'runtime.notAClass': "'{name}' is not a class",
+  'runtime.noMatch': 'No case matches the value {value}',
+  'runtime.destructure': "The value {value} doesn't match the pattern",
+  'runtime.missingArgument':
+    "Missing argument for parameter '{name}' of '{function}'",
+  'runtime.tooManyArguments':
+    "'{function}' takes at most {count} arguments, but was given {given}",
+  'runtime.unknownArgument': "'{function}' has no parameter named '{name}'",
+  'runtime.duplicateArgument':
+    "Parameter '{name}' was given more than one value",
+  'runtime.duplicateBinding':
+    "'{name}' is given more than one value in the pattern",
+  'runtime.builtInNamedArgument':
+    "Built in function '{function}' can't take named arguments, ie '{name}'",
+  'runtime.callDepth': 'Call depth exceeded',
+  'runtime.circularImport': 'Circular import detected ({cycle})',
+  'runtime.moduleNotFound': "Cannot find module '{path}'",
+  'runtime.exportTopLevel':
+    "'{keyword}' can only be used at the top level of a file",
+
+  // limits
+  'limit.steps': 'The program went over the limit of {limit} steps',
+  'limit.callDepth': 'The program went over the call depth limit of {limit}',
+  'limit.timeout': 'The program went over the time limit of {limit} ms',
+
+  // built in functions
+  'lib.required': "Parameter '{name}' is required",
+  'lib.mustBe': "Parameter '{name}' must be {type}",
+  'lib.invalidFlag':
+    "Parameter '{name}' contains an invalid flag value: '{flag}'",
+  'lib.notANumber': "'{value}' is not a number",
+  'lib.emptyList': "'{name}' must have at least one element",
+  'lib.illegalConversion': 'Illegal conversion',
+  'lib.invalidDate': 'Could not create date',
+  'type.string': 'a string',
+  'type.int': 'an int',
+  'type.function': 'a function',
+  'type.class': 'a class',
+  'type.timeout': 'a timeout',
+  'type.stringOrRegex': 'a string or regular expression',
+  'type.minNumber': 'a number >= {min}',
+
+  // command line
+  'cli.loadFailed': 'Failed to load script "{file}"',
+  'cli.fileNotFound': 'File not found',
+  'cli.invalidOption': '{option} is not a valid option',
+  'cli.invalidLocale': "'{locale}' is not a supported language ({locales})",
+  'cli.invalidLimit': "'{value}' is not a valid value for {option}",
+  'cli.invalidContextLines': "'{count}' is not a valid number of lines",
+};
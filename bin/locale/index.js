@@ -0,0 +1,73 @@
+const sw = require('./sw');
+const en = require('./en');
+
+/** message catalogs, keyed by locale name */
+const catalogs = { sw, en };
+
+/** locale used when none is selected */
+const DEFAULT_LOCALE = 'sw';
+
+/** locale used when a message is missing from the current catalog */
+const FALLBACK_LOCALE = 'en';
+
+let current = catalogs[process.env.SWAHILI_LANG]
+  ? process.env.SWAHILI_LANG
+  : DEFAULT_LOCALE;
+
+/**
+ * Selects the locale diagnostics are reported in
+ * @param {String} locale name of the locale, ie 'sw' or 'en'
+ * @returns {Boolean} whether the locale is supported
+ */
+function setLocale(locale) {
+  if (!catalogs[locale]) return false;
+  current = locale;
+  return true;
+}
+
+/**
+ * Gets the name of the current locale
+ * @returns {String}
+ */
+function getLocale() {
+  return current;
+}
+
+/**
+ * Lists the names of all supported locales
+ * @returns {String[]}
+ */
+function locales() {
+  return Object.keys(catalogs);
+}
+
+/**
+ * Looks up a message in the current locale, falling back to English and then the code itself.
+ * `{name}` placeholders in the message are replaced with the matching params
+ * @param {String} code the key of the message in the catalog
+ * @param {Object} params values for the placeholders in the message
+ * @returns {String}
+ */
+function t(code, params = {}) {
+  let message = catalogs[current][code];
+  if (message === undefined) message = catalogs[FALLBACK_LOCALE][code];
+  if (message === undefined) return code;
+
+  return message.replace(/\{(\w+)\}/g, (match, key) =>
+    key in params ? String(params[key]) : match
+  );
+}
+
+/**
+ * Joins a list of items into a readable phrase, ie "'a', 'b' or 'c'"
+ * @param {String[]} items the items to join
+ * @returns {String}
+ */
+function either(items) {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')} ${t('list.or')} ${
+    items[items.length - 1]
+  }`;
+}
+
+module.exports = { t, either, setLocale, getLocale, locales };
@@ -0,0 +1,122 @@
+/** Swahili diagnostic messages, keyed by error code */
+module.exports = {
+  // error names
+  'error.illegalChar': 'Herufi Isiyoruhusiwa',
+  'error.expectedChar': 'Herufi Iliyotarajiwa',
+  'error.invalidSyntax': 'Sintaksia Batili',
+  'error.runtime': 'Kosa la Uendeshaji',
+  'error.uncaught': 'Kosa Lisilonaswa',
+  'error.limit': 'Kikomo Kimezidiwa',
+
+  // error output
+  'output.file': 'Faili "{file}"',
+  'output.frame': 'Faili "{file}", katika {name}',
+  'output.traceback': 'Mfuatano (mwito wa mwisho uko chini):',
+  'output.repeated': '[Mstari uliotangulia umejirudia mara {count} zaidi]',
+  'output.omitted': '[Mistari mingine {count} imerukwa]',
+
+  // context names
+  'context.program': '<programu>',
+  'context.try': '<jaribu>',
+  'context.module': '<moduli {name}>',
+
+  // lists, ie 'a', 'b' au 'c'
+  'list.or': 'au',
+
+  // hints added to error messages
+  'hint.didYouMean': 'Ulimaanisha {names}?',
+
+  // lexer
+  'lexer.codePoint': "namba ya heksadesimali ndani ya '\\u{...}'",
+
+  // parser
+  'syntax.expected': 'Ilitarajiwa {items}',
+  'syntax.unexpected': '{item} haikutarajiwa',
+  'syntax.positionalAfterNamed':
+    'Hoja za mpangilio haziwezi kuja baada ya hoja zenye majina',
+  'syntax.deleteTarget':
+    "Sifa pekee ndizo zinaweza kuondolewa, kama 'mtu.jina' au 'mtu[ufunguo]'",
+  'syntax.exportPattern':
+    "Majina yaliyofunguliwa hayawezi kupelekwa pamoja, peleka kila moja peke yake, kama '{keyword} a'",
+  'token.INT': 'nambari kamili',
+  'token.FLOAT': 'desimali',
+  'token.STRING': 'jina',
+  'token.TEMPLATE': 'jina',
+  'token.IDENTIFIER': 'kitambulisho',
+  'token.KEYWORD': 'neno la msingi',
+  'token.NEWLINE': 'mstari mpya',
+  'token.EOF': 'mwisho wa faili',
+
+  // runtime
+  'runtime.illegalOperation': 'Operesheni isiyoruhusiwa',
+  'runtime.illegalUnary':
+    "Operesheni isiyoruhusiwa: '{operator}' haitumiki kwenye aina '{type}'",
+  'runtime.repeatCount': 'Idadi ya kurudia si halali ({count})',
+  'runtime.divisionByZero': 'Kugawa kwa sifuri',
+  'runtime.removeOutOfBounds':
+    'Kipengele katika faharasa hii hakikuweza kuondolewa kwenye orodha kwa sababu faharasa iko nje ya mipaka',
+  'runtime.getOutOfBounds':
+    'Kipengele katika faharasa hii hakikuweza kupatikana kwenye orodha kwa sababu faharasa iko nje ya mipaka',
+  'runtime.indexOutOfBounds':
+    'Faharasa {index} iko nje ya mipaka ya urefu wa {length}',
+  'runtime.indexType': 'Faharasa lazima ziwe nambari kamili',
+  'runtime.stringAssign': 'Herufi za jina haziwezi kubadilishwa',
+  'runtime.propertyName':
+    "Majina ya sifa lazima yawe Jina au Nambari, si '{type}'",
+  'runtime.spreadObject': "Kamusi pekee ndizo zinaweza kusambazwa, si '{type}'",
+  'runtime.notDefined': "'{name}' haijafafanuliwa",
+  'runtime.notSupported': "'{name}' haitumiki kwenye aina '{type}'",
+  'runtime.notAnObject': "'{name}' si kamusi",
+  'runtime.propertyOfUndefined':
+    "Haiwezekani kupata sifa '{name}' ya kitu kisichofafanuliwa",
+  'runtime.constant': "Haiwezekani kubadili thamani ya kisibadilika '{name}'",
+  'runtime.redeclare': "Haiwezekani kutangaza '{name}' tena",
+  'runtime.notIterable': "Haiwezekani kupitia '{value}' kwa sababu haipitiki",
+  'runtime.notAMethod': "'{name}' si shughuli",
+  'runtime.notAClass': "'{name}' si aina",
+  'runtime.noMatch': 'Hakuna kesi inayolingana na thamani {value}',
+  'runtime.destructure': 'Thamani {value} hailingani na kiolezo',
+  'runtime.missingArgument': "Hoja ya kigezo '{name}' cha '{function}' haipo",
+  'runtime.tooManyArguments':
+    "'{function}' inapokea hoja {count} tu, lakini imepewa {given}",
+  'runtime.unknownArgument': "'{function}' haina kigezo kinachoitwa '{name}'",
+  'runtime.duplicateArgument': "Kigezo '{name}' kimepewa thamani zaidi ya moja",
+  'runtime.duplicateBinding':
+    "'{name}' imepewa thamani zaidi ya moja katika kiolezo",
+  'runtime.builtInNamedArgument':
+    "Shughuli asili '{function}' haipokei hoja zenye majina, kama '{name}'",
+  'runtime.callDepth': 'Kina cha mwito kimezidi',
+  'runtime.circularImport': 'Uletaji wa mzunguko umegunduliwa ({cycle})',
+  'runtime.moduleNotFound': "Moduli '{path}' haikupatikana",
+  'runtime.exportTopLevel':
+    "'{keyword}' inaweza kutumika tu katika ngazi ya juu ya faili",
+
+  // limits
+  'limit.steps': 'Programu imezidi kikomo cha hatua {limit}',
+  'limit.callDepth': 'Programu imezidi kikomo cha kina cha mwito {limit}',
+  'limit.timeout': 'Programu imezidi kikomo cha muda cha ms {limit}',
+
+  // built in functions
+  'lib.required': "Hoja '{name}' inahitajika",
+  'lib.mustBe': "Hoja '{name}' lazima iwe {type}",
+  'lib.invalidFlag': "Hoja '{name}' ina bendera batili: '{flag}'",
+  'lib.notANumber': "'{value}' si nambari",
+  'lib.emptyList': "'{name}' lazima iwe na angalau kipengele kimoja",
+  'lib.illegalConversion': 'Ubadilishaji usioruhusiwa',
+  'lib.invalidDate': 'Tarehe haikuweza kuundwa',
+  'type.string': 'Jina',
+  'type.int': 'nambari kamili',
+  'type.function': 'Shughuli',
+  'type.class': 'Aina',
+  'type.timeout': 'kipima muda',
+  'type.stringOrRegex': 'Jina au RegEx',
+  'type.minNumber': 'nambari >= {min}',
+
+  // command line
+  'cli.loadFailed': 'Imeshindwa kupakia skripti "{file}"',
+  'cli.fileNotFound': 'Faili haikupatikana',
+  'cli.invalidOption': '{option} si chaguo halali',
+  'cli.invalidLocale': "'{locale}' si lugha inayotumika ({locales})",
+  'cli.invalidLimit': "'{value}' si thamani halali ya {option}",
+  'cli.invalidContextLines': "'{count}' si idadi halali ya mistari",
+};
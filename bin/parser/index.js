@@ -1,34 +1,123 @@
 const TT = require('../lexer/tokenTypes');
 const LEX = require('../lexer/lexemes');
+const Token = require('../lexer/token');
 const ParseResult = require('./parseResult');
 const { InvalidSyntaxError } = require('../interpreter/error');
+const { t, either } = require('../locale');
+const { didYouMean } = require('../utils/closestMatches');
 const {
   NumberNode,
   StringNode,
+  InterpolationNode,
   ObjectNode,
   ListNode,
   PropAccessNode,
   PropAssignNode,
+  ComputedPropNode,
+  SpreadNode,
   VarAccessNode,
   VarAssignNode,
   VarDefNode,
   BinOpNode,
   UnaryOpNode,
   IfNode,
+  TernaryNode,
   ForNode,
   ForEachNode,
   WhileNode,
   FuncDefNode,
+  ClassDefNode,
   CallNode,
+  IndexNode,
+  SliceNode,
+  IndexAssignNode,
+  DeleteNode,
   TryCatchNode,
+  SwitchNode,
+  ValuePatternNode,
+  NamePatternNode,
+  TypePatternNode,
+  ListPatternNode,
+  ObjectPatternNode,
+  DefaultPatternNode,
   ReturnNode,
   ContinueNode,
   BreakNode,
   ThrowNode,
+  ImportNode,
+  ExportNode,
 } = require('../interpreter/nodes');
 
-// abstraction to make code shorter
+// abstractions to make code shorter
 const lc = (str) => str.replace('\\', '').toLowerCase();
+const quote = (str) => `'${lc(str)}'`;
+
+/** token types that are described by name rather than by their text */
+const NAMED_TOKENS = [
+  TT.INT,
+  TT.FLOAT,
+  TT.STRING,
+  TT.TEMPLATE,
+  TT.IDENTIFIER,
+  TT.KEYWORD,
+  TT.NEWLINE,
+  TT.EOF,
+];
+const tokenName = (type) =>
+  NAMED_TOKENS.includes(type) ? t(`token.${type}`) : lc(type);
+const expected = (...items) => t('syntax.expected', { items: either(items) });
+
+/** compound assignment tokens and the operators they apply, ie '+=' adds */
+const COMPOUND_OPS = {
+  [TT.PLUS_EQ]: TT.PLUS,
+  [TT.MINUS_EQ]: TT.MINUS,
+  [TT.MUL_EQ]: TT.MUL,
+  [TT.DIV_EQ]: TT.DIV,
+  [TT.MOD_EQ]: TT.MOD,
+  [TT.POW_EQ]: TT.POW,
+};
+
+/**
+ * builds the value of a compound assignment, ie `x + 1` for `x += 1`
+ * @param {Node} targetNode node reading the current value of what is assigned to
+ * @param {Token} opTok the compound assignment token
+ * @param {Node} valueNode node on the right of the assignment
+ * @returns {BinOpNode}
+ */
+const compoundValue = (targetNode, opTok, valueNode) =>
+  new BinOpNode(
+    targetNode,
+    new Token(COMPOUND_OPS[opTok.type], null, opTok.posStart, opTok.posEnd),
+    valueNode
+  );
+
+/**
+ * makes the key naming a property written after a dot, ie "jina" for `mtu.jina`
+ * @param {Token} varNameTok token containing the property's name
+ * @returns {StringNode}
+ */
+const propertyKey = (varNameTok) =>
+  new StringNode(
+    new Token(
+      TT.STRING,
+      varNameTok.value,
+      varNameTok.posStart,
+      varNameTok.posEnd
+    )
+  );
+
+/**
+ * describes a token the way it appears in the file, ie '}' rather than rcurl
+ * @param {Token} token the token to describe
+ * @returns {String}
+ */
+const describe = (token) => {
+  if (NAMED_TOKENS.includes(token.type)) return tokenName(token.type);
+  let { fileText, lineNumber, colNumber } = token.posStart;
+  let line = fileText.split(LEX.line)[lineNumber];
+  let length = token.posEnd.idx - token.posStart.idx;
+  return `'${line.slice(colNumber, colNumber + length)}'`;
+};
 
 class Parser {
   /**
@@ -37,6 +126,7 @@ class Parser {
    */
   constructor(tokens) {
     this.tokens = tokens;
+    this.errors = null; // syntax errors collected by parse()
     this.tokIdx = -1;
     this.advance();
   }
@@ -73,23 +163,104 @@ class Parser {
   }
 
   /**
-   * combines a set of tokens into node(s)
+   * combines a set of tokens into node(s), collecting every syntax error
+   * along the way. the first error is set on the result, all of them in its errors list
    * @returns {ParseResult}
    */
   parse() {
+    this.errors = [];
     let res = this.statements();
-    if (!res.error && this.currentTok.type !== TT.EOF) {
-      return res.failure(
+
+    // anything left over after the statements is unexpected,
+    // skip it and carry on with the statements after it
+    while (!res.error && this.currentTok.type !== TT.EOF) {
+      // a misspelled keyword is read as a name, ie `wach x = 1`
+      let previous = this.tokens[this.tokIdx - 1];
+      let suggestion =
+        previous && previous.type === TT.IDENTIFIER
+          ? didYouMean(previous.value, Object.values(LEX.keywords))
+          : '';
+
+      this.errors.push(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Unexpected ${lc(this.currentTok.type)}`
+          t('syntax.unexpected', { item: describe(this.currentTok) }) +
+            suggestion
         )
       );
+
+      if (this.currentTok.type === TT.RCURL) {
+        res.registerAdvancement();
+        this.advance();
+      } else {
+        this.synchronize(res, this.tokIdx);
+      }
+
+      while (this.currentTok.type === TT.NEWLINE) {
+        res.registerAdvancement();
+        this.advance();
+      }
+
+      if (this.currentTok.type !== TT.EOF) res.register(this.statements());
     }
+
+    if (res.error) this.errors.push(res.error);
+
+    // one error per position, in the order they appear in the file
+    let errors = this.errors
+      .sort((a, b) => a.posStart.idx - b.posStart.idx)
+      .filter(
+        (err, i, all) => !i || err.posStart.idx !== all[i - 1].posStart.idx
+      );
+
+    res.errors = errors;
+    if (errors.length) res.failure(errors[0]);
     return res;
   }
 
+  /**
+   * skips the tokens of a statement that failed to parse, up to the end of its
+   * line or of the block it is in, so the parser can carry on after it
+   * @param {ParseResult} res result to register the skipped tokens on
+   * @param {Number} startIdx index of the statement's first token
+   */
+  synchronize(res, startIdx) {
+    // blocks opened by the statement before the error are skipped whole
+    let depth = 0;
+    for (let tok of this.tokens.slice(startIdx, this.tokIdx)) {
+      if (tok.type === TT.LCURL) depth++;
+      if (tok.type === TT.RCURL) depth--;
+    }
+
+    while (this.currentTok.type !== TT.EOF) {
+      let type = this.currentTok.type;
+      if (depth <= 0 && (type === TT.NEWLINE || type === TT.RCURL)) break;
+
+      if (type === TT.LCURL) depth++;
+      if (type === TT.RCURL) depth--;
+      res.registerAdvancement();
+      this.advance();
+    }
+  }
+
+  /**
+   * records the error of a statement that failed to parse and skips past it,
+   * when the parser is collecting errors
+   * @param {ParseResult} res result of the statements being parsed
+   * @param {ParseResult} statementRes result of the failed statement
+   * @param {Number} startIdx index of the statement's first token
+   * @returns {Boolean} whether the parser recovered from the error
+   */
+  recover(res, statementRes, startIdx) {
+    if (!this.errors) return false;
+
+    this.errors.push(statementRes.error);
+    res.registerRecovery(statementRes);
+    this.synchronize(res, startIdx);
+    return true;
+  }
+
   /** creates nodes based on the statements rule in the grammar document */
   statements = () => {
     let res = new ParseResult();
@@ -101,9 +272,14 @@ class Parser {
       this.advance();
     }
 
-    let statement = res.register(this.statement());
-    if (res.error) return res;
-    statements.push(statement);
+    let startIdx = this.tokIdx;
+    let statementRes = this.statement();
+    if (!statementRes.error) {
+      statements.push(res.register(statementRes));
+    } else if (!this.recover(res, statementRes, startIdx)) {
+      res.register(statementRes);
+      return res;
+    }
 
     let moreStatements = true;
 
@@ -119,8 +295,18 @@ class Parser {
       if (!moreStatements) break;
 
       // look for any statements
-      let statement = res.tryRegister(this.statement());
+      let startIdx = this.tokIdx;
+      let statementRes = this.statement();
+      let statement = res.tryRegister(statementRes);
       if (!statement) {
+        // statements that failed after getting started are syntax errors,
+        // otherwise there are just no more statements
+        if (
+          statementRes.advanceCount &&
+          this.recover(res, statementRes, startIdx)
+        )
+          continue;
+
         this.reverse(res.toReverseCount);
         moreStatements = false;
         continue;
@@ -165,6 +351,50 @@ class Parser {
       );
     }
 
+    if (this.currentTok.matches(TT.KEYWORD, LEX.keywords.export)) {
+      res.registerAdvancement();
+      this.advance();
+
+      let expr = res.register(this.expr());
+      if (res.error) return res;
+
+      // each name has to be exported on its own, ie `peleka a` after `wacha [a, b] = ...`
+      if (expr instanceof VarDefNode && expr.patternNode)
+        return res.failure(
+          new InvalidSyntaxError(
+            expr.patternNode.posStart,
+            expr.patternNode.posEnd,
+            t('syntax.exportPattern', { keyword: LEX.keywords.export })
+          )
+        );
+
+      // only declarations and existing names can be exported
+      let isNamedFunc = expr instanceof FuncDefNode && expr.varNameTok;
+      let isNamedVar = expr instanceof VarDefNode && expr.varNameTok;
+      let isClass = expr instanceof ClassDefNode;
+      if (
+        !isNamedVar &&
+        !(expr instanceof VarAccessNode) &&
+        !isNamedFunc &&
+        !isClass
+      )
+        return res.failure(
+          new InvalidSyntaxError(
+            expr.posStart,
+            expr.posEnd,
+            expected(
+              quote(LEX.keywords.let),
+              quote(LEX.keywords.function),
+              tokenName(TT.IDENTIFIER)
+            )
+          )
+        );
+
+      return res.success(
+        new ExportNode(expr, posStart, this.currentTok.posStart.copy())
+      );
+    }
+
     if (this.currentTok.matches(TT.KEYWORD, LEX.keywords.continue)) {
       res.registerAdvancement();
       this.advance();
@@ -173,6 +403,32 @@ class Parser {
       );
     }
 
+    // `ondoa` followed by anything but a name is still a name, ie a call to `ondoa()`
+    let next = this.tokens[this.tokIdx + 1];
+    if (
+      this.currentTok.matches(TT.IDENTIFIER, LEX.contextual.delete) &&
+      next &&
+      next.type === TT.IDENTIFIER
+    ) {
+      res.registerAdvancement();
+      this.advance();
+
+      let target = res.register(this.call());
+      if (res.error) return res;
+
+      let deleteNode = this.deleteTarget(target, posStart);
+      if (!deleteNode)
+        return res.failure(
+          new InvalidSyntaxError(
+            target.posStart,
+            target.posEnd,
+            t('syntax.deleteTarget')
+          )
+        );
+
+      return res.success(deleteNode);
+    }
+
     if (this.currentTok.matches(TT.KEYWORD, LEX.keywords.break)) {
       res.registerAdvancement();
       this.advance();
@@ -201,6 +457,23 @@ class Parser {
         res.registerAdvancement();
         return res.success(new VarAssignNode(varName, expr));
       }
+
+      if (COMPOUND_OPS[this.currentTok.type]) {
+        let opTok = this.currentTok;
+        res.registerAdvancement();
+        this.advance();
+
+        let expr = res.register(this.expr());
+        if (res.error) return res;
+
+        res.registerAdvancement();
+        return res.success(
+          new VarAssignNode(
+            varName,
+            compoundValue(new VarAccessNode(varName), opTok, expr)
+          )
+        );
+      }
     }
 
     if (advanced) this.reverse();
@@ -210,23 +483,61 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.return}', '${LEX.keywords.continue}', '${
-            LEX.keywords.break
-          }', '${LEX.keywords.let}', '${LEX.keywords.if}', '${
-            LEX.keywords.for
-          }', '${LEX.keywords.while}', '${LEX.keywords.function}', ${lc(
-            TT.INT
-          )}, ${lc(TT.FLOAT)}, ${lc(TT.IDENTIFIER)}, '${lc(
-            LEX.plus.source
-          )}', '${lc(LEX.hyphen.source)}', '${lc(LEX.leftParen.source)}', '${lc(
-            LEX.leftSquare.source
-          )}' or '${lc(LEX.exclamation.source)}'`
+          expected(
+            quote(LEX.keywords.return),
+            quote(LEX.keywords.continue),
+            quote(LEX.keywords.break),
+            quote(LEX.keywords.let),
+            quote(LEX.keywords.if),
+            quote(LEX.keywords.for),
+            quote(LEX.keywords.while),
+            quote(LEX.keywords.function),
+            tokenName(TT.INT),
+            tokenName(TT.FLOAT),
+            tokenName(TT.IDENTIFIER),
+            quote(LEX.plus.source),
+            quote(LEX.hyphen.source),
+            quote(LEX.leftParen.source),
+            quote(LEX.leftSquare.source),
+            quote(LEX.exclamation.source)
+          )
         )
       );
 
     return res.success(expr);
   };
 
+  /**
+   * creates the node removing a property, ie `mtu.jina` or `mtu[ufunguo]`
+   * @param {Node} target node reading the property to remove
+   * @param {Position} posStart the start position of the removal
+   * @returns {DeleteNode} or null if the target isn't a property
+   */
+  deleteTarget(target, posStart) {
+    if (target instanceof IndexNode)
+      return new DeleteNode(
+        target.baseNode,
+        target.indexNode,
+        posStart,
+        target.posEnd
+      );
+
+    if (target instanceof PropAccessNode && target.parent) {
+      let { varNameTok, parent } = target;
+      if (parent instanceof PropAccessNode && !parent.parent)
+        parent = new VarAccessNode(parent.varNameTok);
+
+      return new DeleteNode(
+        parent,
+        propertyKey(varNameTok),
+        posStart,
+        varNameTok.posEnd
+      );
+    }
+
+    return null;
+  }
+
   /** creates nodes based on the expr rule in the grammar document */
   expr = () => {
     let res = new ParseResult();
@@ -234,25 +545,36 @@ class Parser {
       res.registerAdvancement();
       this.advance();
 
-      if (this.currentTok.type !== TT.IDENTIFIER)
+      // lists and objects can be destructured, ie `wacha [a, b] = orodha`
+      let varName = null;
+      let pattern = null;
+      if ([TT.LSQUARE, TT.LCURL].includes(this.currentTok.type)) {
+        pattern = res.register(this.pattern());
+        if (res.error) return res;
+      } else if (this.currentTok.type === TT.IDENTIFIER) {
+        varName = this.currentTok;
+        res.registerAdvancement();
+        this.advance();
+      } else {
         return res.failure(
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected ${lc(TT.IDENTIFIER)}`
+            expected(
+              tokenName(TT.IDENTIFIER),
+              quote(LEX.leftSquare.source),
+              quote(LEX.leftCurly.source)
+            )
           )
         );
-
-      let varName = this.currentTok;
-      res.registerAdvancement();
-      this.advance();
+      }
 
       if (this.currentTok.type !== TT.EQ)
         return res.failure(
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.equals.source)}'`
+            expected(quote(LEX.equals.source))
           )
         );
 
@@ -260,30 +582,67 @@ class Parser {
       this.advance();
       let expr = res.register(this.expr());
       if (res.error) return res;
-      return res.success(new VarDefNode(varName, expr));
+      return res.success(new VarDefNode(varName, expr, pattern));
     }
 
-    let node = res.register(this.binOp(this.compExpr, [TT.AND, TT.OR]));
+    let node = res.register(this.logicExpr());
     if (res.error)
       return res.failure(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.let}', '${LEX.keywords.if}', '${
-            LEX.keywords.for
-          }', '${LEX.keywords.while}', '${LEX.keywords.function}', ${lc(
-            TT.INT
-          )}, ${lc(TT.FLOAT)}, ${lc(TT.IDENTIFIER)}, '${lc(
-            LEX.plus.source
-          )}', '${lc(LEX.hyphen.source)}', '${lc(LEX.leftParen.source)}', '${lc(
-            LEX.leftSquare.source
-          )}' or '${lc(LEX.exclamation.source)}'`
+          expected(
+            quote(LEX.keywords.let),
+            quote(LEX.keywords.if),
+            quote(LEX.keywords.for),
+            quote(LEX.keywords.while),
+            quote(LEX.keywords.function),
+            tokenName(TT.INT),
+            tokenName(TT.FLOAT),
+            tokenName(TT.IDENTIFIER),
+            quote(LEX.plus.source),
+            quote(LEX.hyphen.source),
+            quote(LEX.leftParen.source),
+            quote(LEX.leftSquare.source),
+            quote(LEX.exclamation.source)
+          )
         )
       );
 
+    // inline conditions, ie `a kama hali sivyo b`
+    if (this.currentTok.matches(TT.KEYWORD, LEX.keywords.if)) {
+      res.registerAdvancement();
+      this.advance();
+
+      let conditionNode = res.register(this.logicExpr());
+      if (res.error) return res;
+
+      if (!this.currentTok.matches(TT.KEYWORD, LEX.keywords.else))
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(quote(LEX.keywords.else))
+          )
+        );
+
+      res.registerAdvancement();
+      this.advance();
+
+      let elseNode = res.register(this.expr());
+      if (res.error) return res;
+
+      node = new TernaryNode(node, conditionNode, elseNode);
+    }
+
     return res.success(node);
   };
 
+  /** creates nodes based on the logic-expr rule in the grammar document */
+  logicExpr = () => {
+    return this.binOp(this.compExpr, [TT.AND, TT.OR]);
+  };
+
   /** creates nodes based on the comp-expr rule in the grammar document */
   compExpr = () => {
     let res = new ParseResult();
@@ -307,11 +666,16 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected ${lc(TT.INT)}, ${lc(TT.FLOAT)}, ${lc(TT.IDENTIFIER)}, '${lc(
-            LEX.plus.source
-          )}', '${lc(LEX.hyphen.source)}', '${lc(LEX.leftParen.source)}', '${lc(
-            LEX.leftSquare.source
-          )}' or '${lc(LEX.exclamation.source)}'`
+          expected(
+            tokenName(TT.INT),
+            tokenName(TT.FLOAT),
+            tokenName(TT.IDENTIFIER),
+            quote(LEX.plus.source),
+            quote(LEX.hyphen.source),
+            quote(LEX.leftParen.source),
+            quote(LEX.leftSquare.source),
+            quote(LEX.exclamation.source)
+          )
         )
       );
 
@@ -349,70 +713,220 @@ class Parser {
     return this.binOp(this.call, [TT.POW], this.factor);
   };
 
-  /** creates a function call node */
+  /** creates function call, index and slice nodes, and index assignments */
   call = () => {
     let res = new ParseResult();
-    let atom = res.register(this.atom());
+    let node = res.register(this.atom());
     if (res.error) return res;
 
+    while ([TT.LPAREN, TT.LSQUARE, TT.DOT].includes(this.currentTok.type)) {
+      if (this.currentTok.type === TT.LSQUARE) {
+        node = res.register(this.index(node));
+        if (res.error) return res;
+        continue;
+      }
+
+      // properties of an element or of a result, ie `orodha[0].idadi()`
+      if (this.currentTok.type === TT.DOT) {
+        res.registerAdvancement();
+        this.advance();
+
+        if (this.currentTok.type !== TT.IDENTIFIER)
+          return res.failure(
+            new InvalidSyntaxError(
+              this.currentTok.posStart,
+              this.currentTok.posEnd,
+              expected(tokenName(TT.IDENTIFIER))
+            )
+          );
+
+        node = new PropAccessNode(this.currentTok, node);
+        res.registerAdvancement();
+        this.advance();
+        continue;
+      }
+
+      let [argNodes, namedArgNodes] = res.register(this.args()) || [];
+      if (res.error) return res;
+
+      node = new CallNode(node, argNodes, namedArgNodes);
+    }
+
+    // setting a property of an element, ie `orodha[0].jina = x`,
+    // is the same as setting `orodha[0]["jina"]`
+    let isAssignment =
+      this.currentTok.type === TT.EQ || COMPOUND_OPS[this.currentTok.type];
+    if (node instanceof PropAccessNode && isAssignment)
+      node = new IndexNode(
+        node.parent,
+        propertyKey(node.varNameTok),
+        node.posEnd
+      );
+
+    if (node instanceof IndexNode) {
+      if (this.currentTok.type === TT.EQ) {
+        res.registerAdvancement();
+        this.advance();
+
+        let valueNode = res.register(this.expr());
+        if (res.error) return res;
+
+        node = new IndexAssignNode(node, valueNode);
+      } else if (COMPOUND_OPS[this.currentTok.type]) {
+        let opTok = this.currentTok;
+        res.registerAdvancement();
+        this.advance();
+
+        let valueNode = res.register(this.expr());
+        if (res.error) return res;
+
+        node = new IndexAssignNode(node, compoundValue(node, opTok, valueNode));
+      }
+    }
+
+    return res.success(node);
+  };
+
+  /** parse the arguments of a function call, ie `(1, jina: "Asha")` */
+  args = () => {
+    let res = new ParseResult();
     let argNodes = [];
+    let namedArgNodes = [];
+
+    res.registerAdvancement();
+    this.advance();
 
-    if (this.currentTok.type === TT.LPAREN) {
+    if (this.currentTok.type === TT.RPAREN) {
       res.registerAdvancement();
       this.advance();
+      return res.success([argNodes, namedArgNodes]);
+    }
 
-      if (this.currentTok.type === TT.RPAREN) {
+    while (true) {
+      let nextTok = this.tokens[this.tokIdx + 1];
+
+      // named arguments, ie `jina: "Asha"`, come after the positional ones
+      if (
+        this.currentTok.type === TT.IDENTIFIER &&
+        nextTok &&
+        nextTok.type === TT.COL
+      ) {
+        let argNameTok = this.currentTok;
+        res.registerAdvancement();
+        this.advance();
         res.registerAdvancement();
         this.advance();
+
+        let valueNode = res.register(this.expr());
+        if (res.error) return res;
+
+        namedArgNodes.push([argNameTok, valueNode]);
       } else {
-        argNodes.push(res.register(this.expr()));
+        let isFirst = !argNodes.length && !namedArgNodes.length;
+        let argNode = res.register(this.expr());
+        if (res.error && !isFirst) return res;
         if (res.error)
           return res.failure(
             new InvalidSyntaxError(
               this.currentTok.posStart,
               this.currentTok.posEnd,
-              `Expected '${lc(LEX.rightParen.source)}','${
-                LEX.keywords.let
-              }', '${LEX.keywords.if}', '${LEX.keywords.for}', '${
-                LEX.keywords.while
-              }', '${LEX.keywords.function}', ${lc(TT.INT)}, ${lc(
-                TT.FLOAT
-              )}, ${lc(TT.IDENTIFIER)}, '${lc(LEX.plus.source)}', '${lc(
-                LEX.hyphen.source
-              )}', '${lc(LEX.leftParen.source)}', '${lc(
-                LEX.leftSquare.source
-              )}' or '${lc(LEX.exclamation.source)}'`
+              expected(
+                quote(LEX.rightParen.source),
+                quote(LEX.keywords.let),
+                quote(LEX.keywords.if),
+                quote(LEX.keywords.for),
+                quote(LEX.keywords.while),
+                quote(LEX.keywords.function),
+                tokenName(TT.INT),
+                tokenName(TT.FLOAT),
+                tokenName(TT.IDENTIFIER),
+                quote(LEX.plus.source),
+                quote(LEX.hyphen.source),
+                quote(LEX.leftParen.source),
+                quote(LEX.leftSquare.source),
+                quote(LEX.exclamation.source)
+              )
             )
           );
 
-        while (this.currentTok.type === TT.COMMA) {
-          res.registerAdvancement();
-          this.advance();
-
-          argNodes.push(res.register(this.expr()));
-          if (res.error) return res;
-        }
-
-        if (this.currentTok.type !== TT.RPAREN) {
+        if (namedArgNodes.length)
           return res.failure(
             new InvalidSyntaxError(
-              this.currentTok.posStart,
-              this.currentTok.posEnd,
-              `Expected '${lc(LEX.comma.source)}' or '${lc(
-                LEX.rightParen.source
-              )}'`
+              argNode.posStart,
+              argNode.posEnd,
+              t('syntax.positionalAfterNamed')
             )
           );
-        }
 
-        res.registerAdvancement();
-        this.advance();
+        argNodes.push(argNode);
       }
 
-      return res.success(new CallNode(atom, argNodes));
+      if (this.currentTok.type !== TT.COMMA) break;
+      res.registerAdvancement();
+      this.advance();
+    }
+
+    if (this.currentTok.type !== TT.RPAREN)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.comma.source), quote(LEX.rightParen.source))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+    return res.success([argNodes, namedArgNodes]);
+  };
+
+  /**
+   * parse the brackets after a value to make an index or slice node
+   * @param {Node} baseNode node containing the value being indexed
+   */
+  index = (baseNode) => {
+    let res = new ParseResult();
+    let startNode = null;
+    let endNode = null;
+    let isSlice = false;
+
+    res.registerAdvancement();
+    this.advance();
+
+    if (this.currentTok.type !== TT.COL) {
+      startNode = res.register(this.expr());
+      if (res.error) return res;
+    }
+
+    if (this.currentTok.type === TT.COL) {
+      isSlice = true;
+      res.registerAdvancement();
+      this.advance();
+
+      if (this.currentTok.type !== TT.RSQUARE) {
+        endNode = res.register(this.expr());
+        if (res.error) return res;
+      }
     }
 
-    return res.success(atom);
+    if (this.currentTok.type !== TT.RSQUARE)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          isSlice
+            ? expected(quote(LEX.rightSquare.source))
+            : expected(quote(LEX.col.source), quote(LEX.rightSquare.source))
+        )
+      );
+
+    let posEnd = this.currentTok.posEnd;
+    res.registerAdvancement();
+    this.advance();
+
+    if (isSlice)
+      return res.success(new SliceNode(baseNode, startNode, endNode, posEnd));
+    return res.success(new IndexNode(baseNode, startNode, posEnd));
   };
 
   /** creates nodes based on the atom rule in the grammar document */
@@ -428,6 +942,18 @@ class Parser {
       res.registerAdvancement();
       this.advance();
       return res.success(new StringNode(tok));
+    } else if (tok.type === TT.TEMPLATE) {
+      let interpolation = res.register(this.interpolationExpr());
+      if (res.error) return res;
+      return res.success(interpolation);
+    } else if (this.isClassDef()) {
+      let classDef = res.register(this.classDef());
+      if (res.error) return res;
+      return res.success(classDef);
+    } else if (this.isLambda()) {
+      let lambdaExpr = res.register(this.lambdaExpr());
+      if (res.error) return res;
+      return res.success(lambdaExpr);
     } else if (tok.type === TT.LPAREN) {
       res.registerAdvancement();
       this.advance();
@@ -442,7 +968,7 @@ class Parser {
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.rightParen.source)}'`
+            expected(quote(LEX.rightParen.source))
           )
         );
       }
@@ -462,6 +988,10 @@ class Parser {
       let tryExpr = res.register(this.tryExpr());
       if (res.error) return res;
       return res.success(tryExpr);
+    } else if (tok.matches(TT.KEYWORD, LEX.keywords.switch)) {
+      let switchExpr = res.register(this.switchExpr());
+      if (res.error) return res;
+      return res.success(switchExpr);
     } else if (tok.matches(TT.KEYWORD, LEX.keywords.if)) {
       let ifExpr = res.register(this.ifExpr());
       if (res.error) return res;
@@ -478,19 +1008,29 @@ class Parser {
       let funcDef = res.register(this.funcDef());
       if (res.error) return res;
       return res.success(funcDef);
+    } else if (tok.matches(TT.KEYWORD, LEX.keywords.import)) {
+      let importExpr = res.register(this.importExpr());
+      if (res.error) return res;
+      return res.success(importExpr);
     }
 
     return res.failure(
       new InvalidSyntaxError(
         tok.posStart,
         tok.posEnd,
-        `Expected ${lc(TT.INT)}, ${lc(TT.FLOAT)}, ${lc(TT.IDENTIFIER)}, '${lc(
-          LEX.plus.source
-        )}', '${lc(LEX.hyphen.source)}', '${lc(LEX.leftParen.source)}', '${lc(
-          LEX.leftSquare.source
-        )}', '${LEX.keywords.if}', '${LEX.keywords.for}', '${
-          LEX.keywords.while
-        }' or '${LEX.keywords.function}'`
+        expected(
+          tokenName(TT.INT),
+          tokenName(TT.FLOAT),
+          tokenName(TT.IDENTIFIER),
+          quote(LEX.plus.source),
+          quote(LEX.hyphen.source),
+          quote(LEX.leftParen.source),
+          quote(LEX.leftSquare.source),
+          quote(LEX.keywords.if),
+          quote(LEX.keywords.for),
+          quote(LEX.keywords.while),
+          quote(LEX.keywords.function)
+        )
       )
     );
   };
@@ -505,7 +1045,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected ${lc(TT.IDENTIFIER)}`
+          expected(tokenName(TT.IDENTIFIER))
         )
       );
 
@@ -529,7 +1069,7 @@ class Parser {
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected ${lc(TT.IDENTIFIER)}`
+            expected(tokenName(TT.IDENTIFIER))
           )
         );
       }
@@ -549,6 +1089,18 @@ class Parser {
         if (res.error) return res;
 
         currentNode = new PropAssignNode(nodeChain, valueNode);
+      } else if (COMPOUND_OPS[this.currentTok.type]) {
+        let opTok = this.currentTok;
+        res.registerAdvancement();
+        this.advance();
+
+        let valueNode = res.register(this.expr());
+        if (res.error) return res;
+
+        currentNode = new PropAssignNode(
+          nodeChain,
+          compoundValue(currentNode, opTok, valueNode)
+        );
       }
     }
 
@@ -566,7 +1118,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(TT.LCURL)}'`
+          expected(quote(LEX.leftCurly.source))
         )
       );
 
@@ -583,35 +1135,9 @@ class Parser {
         this.advance();
       }
 
-      if (this.currentTok.type !== TT.IDENTIFIER)
-        return res.failure(
-          new InvalidSyntaxError(
-            this.currentTok.posStart,
-            this.currentTok.posEnd,
-            `Expected ${lc(TT.IDENTIFIER)}`
-          )
-        );
-
-      let propertyName = this.currentTok;
-      res.registerAdvancement();
-      this.advance();
-
-      if (this.currentTok.type !== TT.COL)
-        return res.failure(
-          new InvalidSyntaxError(
-            this.currentTok.posStart,
-            this.currentTok.posEnd,
-            `Expected '${lc(LEX.col.source)}'`
-          )
-        );
-
-      res.registerAdvancement();
-      this.advance();
-
-      let valueNode = res.register(this.expr());
+      let propertyNode = res.register(this.property());
       if (res.error) return res;
-
-      propertyNodes.push(new PropAssignNode([propertyName], valueNode));
+      propertyNodes.push(propertyNode);
 
       while (this.currentTok.type === TT.COMMA) {
         res.registerAdvancement();
@@ -623,35 +1149,9 @@ class Parser {
           this.advance();
         }
 
-        if (this.currentTok.type !== TT.IDENTIFIER)
-          return res.failure(
-            new InvalidSyntaxError(
-              this.currentTok.posStart,
-              this.currentTok.posEnd,
-              `Expected ${lc(TT.IDENTIFIER)}`
-            )
-          );
-
-        propertyName = this.currentTok;
-        res.registerAdvancement();
-        this.advance();
-
-        if (this.currentTok.type !== TT.COL)
-          return res.failure(
-            new InvalidSyntaxError(
-              this.currentTok.posStart,
-              this.currentTok.posEnd,
-              `Expected '${lc(LEX.col.source)}'`
-            )
-          );
-
-        res.registerAdvancement();
-        this.advance();
-
-        valueNode = res.register(this.expr());
+        propertyNode = res.register(this.property());
         if (res.error) return res;
-
-        propertyNodes.push(new PropAssignNode([propertyName], valueNode));
+        propertyNodes.push(propertyNode);
       }
 
       // skip past any new lines
@@ -665,9 +1165,7 @@ class Parser {
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.comma.source)}' or '${lc(
-              LEX.rightCurly.source
-            )}'`
+            expected(quote(LEX.comma.source), quote(LEX.rightCurly.source))
           )
         );
       }
@@ -681,6 +1179,92 @@ class Parser {
     );
   };
 
+  /**
+   * parse tokens to make a property of an object node, ie `jina: "Juma"`,
+   * `"jina kamili": "Juma Ali"`, `[ufunguo]: thamani`, `jina` or `...mtu`
+   */
+  property = () => {
+    let res = new ParseResult();
+    let posStart = this.currentTok.posStart.copy();
+
+    if (this.currentTok.type === TT.ELLIPSIS) {
+      res.registerAdvancement();
+      this.advance();
+
+      let valueNode = res.register(this.expr());
+      if (res.error) return res;
+
+      return res.success(new SpreadNode(valueNode, posStart));
+    }
+
+    let keyNode = null;
+    let propertyName = null;
+
+    if (this.currentTok.type === TT.LSQUARE) {
+      res.registerAdvancement();
+      this.advance();
+
+      keyNode = res.register(this.expr());
+      if (res.error) return res;
+
+      if (this.currentTok.type !== TT.RSQUARE)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(quote(LEX.rightSquare.source))
+          )
+        );
+    } else if ([TT.IDENTIFIER, TT.STRING].includes(this.currentTok.type)) {
+      propertyName = this.currentTok;
+    } else {
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(
+            tokenName(TT.IDENTIFIER),
+            tokenName(TT.STRING),
+            quote(LEX.leftSquare.source),
+            quote(LEX.ellipsis)
+          )
+        )
+      );
+    }
+
+    res.registerAdvancement();
+    this.advance();
+
+    // a name on its own takes the value of the variable with that name, ie `{ jina }`
+    if (
+      propertyName &&
+      propertyName.type === TT.IDENTIFIER &&
+      this.currentTok.type !== TT.COL
+    )
+      return res.success(
+        new PropAssignNode([propertyName], new VarAccessNode(propertyName))
+      );
+
+    if (this.currentTok.type !== TT.COL)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.col.source))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    let valueNode = res.register(this.expr());
+    if (res.error) return res;
+
+    if (keyNode)
+      return res.success(new ComputedPropNode(keyNode, valueNode, posStart));
+    return res.success(new PropAssignNode([propertyName], valueNode));
+  };
+
   /** parse tokens to make a list node */
   listExpr = () => {
     let res = new ParseResult();
@@ -692,7 +1276,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(TT.LSQUARE)}'`
+          expected(quote(LEX.leftSquare.source))
         )
       );
 
@@ -715,17 +1299,22 @@ class Parser {
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.rightSquare.source)}', '${
-              LEX.keywords.let
-            }', '${LEX.keywords.if}', '${LEX.keywords.for}', '${
-              LEX.keywords.while
-            }', '${LEX.keywords.function}', ${lc(TT.INT)}, ${lc(
-              TT.FLOAT
-            )}, ${lc(TT.IDENTIFIER)}, '${lc(LEX.plus.source)}', '${lc(
-              LEX.hyphen.source
-            )}', '${lc(LEX.leftParen.source)}', '${lc(
-              LEX.leftSquare.source
-            )}' or '${lc(LEX.exclamation.source)}'`
+            expected(
+              quote(LEX.rightSquare.source),
+              quote(LEX.keywords.let),
+              quote(LEX.keywords.if),
+              quote(LEX.keywords.for),
+              quote(LEX.keywords.while),
+              quote(LEX.keywords.function),
+              tokenName(TT.INT),
+              tokenName(TT.FLOAT),
+              tokenName(TT.IDENTIFIER),
+              quote(LEX.plus.source),
+              quote(LEX.hyphen.source),
+              quote(LEX.leftParen.source),
+              quote(LEX.leftSquare.source),
+              quote(LEX.exclamation.source)
+            )
           )
         );
 
@@ -754,9 +1343,9 @@ class Parser {
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.comma.source)}' or '${lc(
-              LEX.rightSquare.source
-            )}'`
+            restNameTok
+              ? expected(quote(LEX.rightSquare.source))
+              : expected(quote(LEX.comma.source), quote(LEX.rightSquare.source))
           )
         );
       }
@@ -774,8 +1363,7 @@ class Parser {
   tryExpr = () => {
     let res = new ParseResult();
     let tryBody = null;
-    let errVarNameTok = null;
-    let catchBody = null;
+    let catchCases = [];
     let finallyBody = null;
     let posStart = this.currentTok.posStart.copy();
 
@@ -784,7 +1372,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.try}'`
+          expected(quote(LEX.keywords.try))
         )
       );
 
@@ -796,7 +1384,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftCurly.source)}'`
+          expected(quote(LEX.leftCurly.source))
         )
       );
 
@@ -811,7 +1399,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightCurly.source)}'`
+          expected(quote(LEX.rightCurly.source))
         )
       );
 
@@ -823,10 +1411,67 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.catch}'`
+          expected(quote(LEX.keywords.catch))
         )
       );
 
+    while (this.currentTok.matches(TT.KEYWORD, LEX.keywords.catch)) {
+      let catchCase = res.register(this.catchExpr());
+      if (res.error) return res;
+      catchCases.push(catchCase);
+    }
+
+    if (this.currentTok.matches(TT.KEYWORD, LEX.keywords.finally)) {
+      res.registerAdvancement();
+      this.advance();
+
+      if (this.currentTok.type !== TT.LCURL)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(quote(LEX.leftCurly.source))
+          )
+        );
+
+      res.registerAdvancement();
+      this.advance();
+
+      finallyBody = res.register(this.statements());
+      if (res.error) return res;
+
+      if (this.currentTok.type !== TT.RCURL)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(quote(LEX.rightCurly.source))
+          )
+        );
+
+      res.registerAdvancement();
+      this.advance();
+    }
+
+    return res.success(
+      new TryCatchNode(
+        tryBody,
+        catchCases,
+        finallyBody,
+        posStart,
+        this.currentTok.posEnd.copy()
+      )
+    );
+  };
+
+  /**
+   * parse tokens to make a catch case, with the name of the error variable,
+   * the optional kind of error to catch and the statements to run
+   */
+  catchExpr = () => {
+    let res = new ParseResult();
+    let errTypeTok = null;
+
     res.registerAdvancement();
     this.advance();
 
@@ -835,32 +1480,51 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftParen.source)}'`
+          expected(quote(LEX.leftParen.source))
         )
       );
 
     res.registerAdvancement();
     this.advance();
 
-    if (!this.currentTok.type === TT.IDENTIFIER)
+    if (this.currentTok.type !== TT.IDENTIFIER)
       return res.failure(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(TT.IDENTIFIER)}'`
+          expected(tokenName(TT.IDENTIFIER))
         )
       );
 
-    errVarNameTok = this.currentTok;
+    let errVarNameTok = this.currentTok;
     res.registerAdvancement();
     this.advance();
 
+    // only catch errors of a given kind, ie iwapo (e: KosaLaKugawa)
+    if (this.currentTok.type === TT.COL) {
+      res.registerAdvancement();
+      this.advance();
+
+      if (this.currentTok.type !== TT.IDENTIFIER)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(tokenName(TT.IDENTIFIER))
+          )
+        );
+
+      errTypeTok = this.currentTok;
+      res.registerAdvancement();
+      this.advance();
+    }
+
     if (this.currentTok.type !== TT.RPAREN)
       return res.failure(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightParen.source)}'`
+          expected(quote(LEX.col.source), quote(LEX.rightParen.source))
         )
       );
 
@@ -872,14 +1536,14 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftCurly.source)}'`
+          expected(quote(LEX.leftCurly.source))
         )
       );
 
     res.registerAdvancement();
     this.advance();
 
-    catchBody = res.register(this.statements());
+    let catchBody = res.register(this.statements());
     if (res.error) return res;
 
     if (this.currentTok.type !== TT.RCURL)
@@ -887,54 +1551,402 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightCurly.source)}'`
+          expected(quote(LEX.rightCurly.source))
         )
       );
 
     res.registerAdvancement();
     this.advance();
 
-    if (this.currentTok.matches(TT.KEYWORD, LEX.keywords.finally)) {
+    return res.success([errVarNameTok, errTypeTok, catchBody]);
+  };
+
+  /** parse tokens to make a SwitchNode */
+  switchExpr = () => {
+    let res = new ParseResult();
+    let cases = [];
+    let defaultCase = null;
+    let posStart = this.currentTok.posStart.copy();
+
+    if (!this.currentTok.matches(TT.KEYWORD, LEX.keywords.switch))
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.keywords.switch))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    let subjectNode = res.register(this.expr());
+    if (res.error) return res;
+
+    if (this.currentTok.type !== TT.LCURL)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.leftCurly.source))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    while (this.currentTok.type === TT.NEWLINE) {
       res.registerAdvancement();
       this.advance();
+    }
 
-      if (this.currentTok.type !== TT.LCURL)
+    while (this.currentTok.matches(TT.KEYWORD, LEX.keywords.case)) {
+      res.registerAdvancement();
+      this.advance();
+
+      // a case can list several patterns, ie `kesi 1, 2:`
+      let patterns = [res.register(this.pattern())];
+      if (res.error) return res;
+
+      while (this.currentTok.type === TT.COMMA) {
+        res.registerAdvancement();
+        this.advance();
+
+        patterns.push(res.register(this.pattern()));
+        if (res.error) return res;
+      }
+
+      let body = res.register(this.caseBody());
+      if (res.error) return res;
+      cases.push([patterns, body]);
+    }
+
+    if (this.currentTok.matches(TT.KEYWORD, LEX.keywords.default)) {
+      res.registerAdvancement();
+      this.advance();
+
+      defaultCase = res.register(this.caseBody());
+      if (res.error) return res;
+    }
+
+    if (this.currentTok.type !== TT.RCURL)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          defaultCase
+            ? expected(quote(LEX.rightCurly.source))
+            : expected(
+                quote(LEX.keywords.case),
+                quote(LEX.keywords.default),
+                quote(LEX.rightCurly.source)
+              )
+        )
+      );
+
+    let posEnd = this.currentTok.posEnd.copy();
+    res.registerAdvancement();
+    this.advance();
+
+    return res.success(
+      new SwitchNode(subjectNode, cases, defaultCase, posStart, posEnd)
+    );
+  };
+
+  /** parse tokens to make the statements run by a case of a switch */
+  caseBody = () => {
+    let res = new ParseResult();
+
+    if (this.currentTok.type !== TT.COL)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.col.source))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    let body = res.register(this.statements());
+    if (res.error) return res;
+
+    while (this.currentTok.type === TT.NEWLINE) {
+      res.registerAdvancement();
+      this.advance();
+    }
+
+    return res.success(body);
+  };
+
+  /** parse tokens to make a pattern for a case of a switch or for destructuring */
+  pattern = () => {
+    let res = new ParseResult();
+    let tok = this.currentTok;
+    let posStart = tok.posStart.copy();
+
+    if ([TT.INT, TT.FLOAT].includes(tok.type)) {
+      res.registerAdvancement();
+      this.advance();
+      return res.success(new ValuePatternNode(new NumberNode(tok)));
+    }
+
+    if (tok.type === TT.STRING) {
+      res.registerAdvancement();
+      this.advance();
+      return res.success(new ValuePatternNode(new StringNode(tok)));
+    }
+
+    // negative numbers, ie `kesi -1`
+    if (tok.type === TT.MINUS) {
+      res.registerAdvancement();
+      this.advance();
+
+      if (![TT.INT, TT.FLOAT].includes(this.currentTok.type))
         return res.failure(
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.leftCurly.source)}'`
+            expected(tokenName(TT.INT), tokenName(TT.FLOAT))
           )
         );
 
+      let numberNode = new NumberNode(this.currentTok);
+      res.registerAdvancement();
+      this.advance();
+      return res.success(
+        new ValuePatternNode(new UnaryOpNode(tok, numberNode))
+      );
+    }
+
+    if (tok.type === TT.IDENTIFIER) {
+      res.registerAdvancement();
+      this.advance();
+
+      // a type followed by the name to bind, ie `Nambari n`
+      if (this.currentTok.type === TT.IDENTIFIER) {
+        let varNameTok = this.currentTok;
+        res.registerAdvancement();
+        this.advance();
+        return res.success(new TypePatternNode(tok, varNameTok));
+      }
+
+      return res.success(new NamePatternNode(tok));
+    }
+
+    if (tok.type === TT.LSQUARE) {
+      let elementPatterns = [];
+      let restNameTok = null;
       res.registerAdvancement();
       this.advance();
 
-      finallyBody = res.register(this.statements());
-      if (res.error) return res;
+      while (this.currentTok.type !== TT.RSQUARE) {
+        // the rest of the list, ie `...baki`, has to come last
+        if (this.currentTok.type === TT.ELLIPSIS) {
+          res.registerAdvancement();
+          this.advance();
+
+          if (this.currentTok.type !== TT.IDENTIFIER)
+            return res.failure(
+              new InvalidSyntaxError(
+                this.currentTok.posStart,
+                this.currentTok.posEnd,
+                expected(tokenName(TT.IDENTIFIER))
+              )
+            );
+
+          restNameTok = this.currentTok;
+          res.registerAdvancement();
+          this.advance();
+          break;
+        }
+
+        let elementPattern = res.register(this.pattern());
+        if (res.error) return res;
+
+        elementPatterns.push(res.register(this.patternDefault(elementPattern)));
+        if (res.error) return res;
+
+        if (this.currentTok.type !== TT.COMMA) break;
+        res.registerAdvancement();
+        this.advance();
+      }
+
+      if (this.currentTok.type !== TT.RSQUARE)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(quote(LEX.comma.source), quote(LEX.rightSquare.source))
+          )
+        );
+
+      let posEnd = this.currentTok.posEnd.copy();
+      res.registerAdvancement();
+      this.advance();
+      return res.success(
+        new ListPatternNode(elementPatterns, restNameTok, posStart, posEnd)
+      );
+    }
+
+    if (tok.type === TT.LCURL) {
+      let propertyPatterns = [];
+      res.registerAdvancement();
+      this.advance();
+
+      while (this.currentTok.type === TT.IDENTIFIER) {
+        let propertyNameTok = this.currentTok;
+        let propertyPattern = null;
+        res.registerAdvancement();
+        this.advance();
+
+        // properties can have a pattern of their own, ie `{ jina: "Asha" }`
+        if (this.currentTok.type === TT.COL) {
+          res.registerAdvancement();
+          this.advance();
+
+          propertyPattern = res.register(this.pattern());
+          if (res.error) return res;
+        }
+
+        // a default without a pattern still binds the property's own name
+        if (this.currentTok.type === TT.EQ) {
+          propertyPattern = res.register(
+            this.patternDefault(
+              propertyPattern || new NamePatternNode(propertyNameTok)
+            )
+          );
+          if (res.error) return res;
+        }
+
+        propertyPatterns.push([propertyNameTok, propertyPattern]);
+
+        if (this.currentTok.type !== TT.COMMA) break;
+        res.registerAdvancement();
+        this.advance();
+      }
+
+      if (this.currentTok.type !== TT.RCURL)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(tokenName(TT.IDENTIFIER), quote(LEX.rightCurly.source))
+          )
+        );
+
+      let posEnd = this.currentTok.posEnd.copy();
+      res.registerAdvancement();
+      this.advance();
+      return res.success(
+        new ObjectPatternNode(propertyPatterns, posStart, posEnd)
+      );
+    }
+
+    return res.failure(
+      new InvalidSyntaxError(
+        tok.posStart,
+        tok.posEnd,
+        expected(
+          tokenName(TT.INT),
+          tokenName(TT.FLOAT),
+          tokenName(TT.STRING),
+          tokenName(TT.IDENTIFIER),
+          quote(LEX.leftSquare.source),
+          quote(LEX.leftCurly.source)
+        )
+      )
+    );
+  };
+
+  /**
+   * parse the default value that can follow a pattern in a list or object pattern
+   * @param {Node} pattern the pattern the default is for
+   */
+  patternDefault = (pattern) => {
+    let res = new ParseResult();
+    if (this.currentTok.type !== TT.EQ) return res.success(pattern);
+
+    res.registerAdvancement();
+    this.advance();
+
+    let defaultNode = res.register(this.expr());
+    if (res.error) return res;
+
+    return res.success(new DefaultPatternNode(pattern, defaultNode));
+  };
+
+  /** parse the parts of a template token to make an interpolation node */
+  interpolationExpr = () => {
+    let res = new ParseResult();
+    let tok = this.currentTok;
+    let partNodes = [];
+
+    res.registerAdvancement();
+    this.advance();
+
+    for (let part of tok.value) {
+      if (!Array.isArray(part)) {
+        partNodes.push(new StringNode(part));
+        continue;
+      }
+
+      // embedded expressions come with their own tokens, so they are parsed
+      // separately without counting towards this parser's advancements
+      let parser = new Parser(part);
+      let exprRes = parser.expr();
+      if (exprRes.error) return res.failure(exprRes.error);
+
+      if (parser.currentTok.type !== TT.EOF)
+        return res.failure(
+          new InvalidSyntaxError(
+            parser.currentTok.posStart,
+            parser.currentTok.posEnd,
+            expected(quote(LEX.rightCurly.source))
+          )
+        );
+
+      partNodes.push(exprRes.node);
+    }
+
+    return res.success(
+      new InterpolationNode(partNodes, tok.posStart, tok.posEnd)
+    );
+  };
+
+  /** parse tokens to make an import node */
+  importExpr = () => {
+    let res = new ParseResult();
+    let posStart = this.currentTok.posStart.copy();
+
+    if (!this.currentTok.matches(TT.KEYWORD, LEX.keywords.import))
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.keywords.import))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
 
-      if (this.currentTok.type !== TT.RCURL)
-        return res.failure(
-          new InvalidSyntaxError(
-            this.currentTok.posStart,
-            this.currentTok.posEnd,
-            `Expected '${lc(LEX.rightCurly.source)}'`
-          )
-        );
+    if (this.currentTok.type !== TT.STRING)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(tokenName(TT.STRING))
+        )
+      );
 
-      res.registerAdvancement();
-      this.advance();
-    }
+    let pathTok = this.currentTok;
+    res.registerAdvancement();
+    this.advance();
 
     return res.success(
-      new TryCatchNode(
-        tryBody,
-        errVarNameTok,
-        catchBody,
-        finallyBody,
-        posStart,
-        this.currentTok.posEnd.copy()
-      )
+      new ImportNode(pathTok, posStart, pathTok.posEnd.copy())
     );
   };
 
@@ -966,7 +1978,7 @@ class Parser {
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.leftCurly.source)}'`
+            expected(quote(LEX.leftCurly.source))
           )
         );
       }
@@ -986,7 +1998,7 @@ class Parser {
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected '${lc(LEX.rightCurly.source)}'`
+            expected(quote(LEX.rightCurly.source))
           )
         );
       }
@@ -1025,7 +2037,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${caseKeyword}'`
+          expected(quote(caseKeyword))
         )
       );
     }
@@ -1041,7 +2053,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '{'`
+          expected(quote(LEX.leftCurly.source))
         )
       );
     }
@@ -1066,7 +2078,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightCurly.source)}'`
+          expected(quote(LEX.rightCurly.source))
         )
       );
     }
@@ -1084,7 +2096,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.for}'`
+          expected(quote(LEX.keywords.for))
         )
       );
     }
@@ -1092,12 +2104,27 @@ class Parser {
     res.registerAdvancement();
     this.advance();
 
+    // each value can be destructured, ie `kwa [ufunguo, thamani] katika ...`
+    if ([TT.LSQUARE, TT.LCURL].includes(this.currentTok.type)) {
+      let pattern = res.register(this.pattern());
+      if (res.error) return res;
+
+      let forEach = res.register(this.forEachExpr(null, pattern));
+      if (res.error) return res;
+
+      return res.success(forEach);
+    }
+
     if (this.currentTok.type !== TT.IDENTIFIER) {
       return res.failure(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected ${lc(TT.IDENTIFIER)}`
+          expected(
+            tokenName(TT.IDENTIFIER),
+            quote(LEX.leftSquare.source),
+            quote(LEX.leftCurly.source)
+          )
         )
       );
     }
@@ -1120,7 +2147,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.equals.source)}' or '${lc(LEX.keywords.in)}'`
+          expected(quote(LEX.equals.source), quote(LEX.keywords.in))
         )
       );
     }
@@ -1136,7 +2163,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.to}'`
+          expected(quote(LEX.keywords.to))
         )
       );
     }
@@ -1161,7 +2188,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftCurly.source)}'`
+          expected(quote(LEX.leftCurly.source))
         )
       );
     }
@@ -1177,7 +2204,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightCurly.source)}'`
+          expected(quote(LEX.rightCurly.source))
         )
       );
     }
@@ -1190,8 +2217,12 @@ class Parser {
     );
   };
 
-  /** generates a for each node  */
-  forEachExpr = (varName) => {
+  /**
+   * generates a for each node
+   * @param {Token} varName token containing the iterator's name
+   * @param {Node} pattern pattern each value is destructured with, in place of a name
+   */
+  forEachExpr = (varName, pattern = null) => {
     let res = new ParseResult();
 
     // if not a keyword, that's a problem
@@ -1200,7 +2231,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.keywords.in)}'`
+          expected(quote(LEX.keywords.in))
         )
       );
     }
@@ -1212,7 +2243,10 @@ class Parser {
     if (this.currentTok.type === TT.LSQUARE) {
       iteration = res.register(this.listExpr());
       if (res.error) return res;
-    } else if (this.currentTok.type === TT.STRING) {
+    } else if (
+      this.currentTok.type === TT.STRING ||
+      this.currentTok.type === TT.TEMPLATE
+    ) {
       iteration = res.register(this.atom());
       if (res.error) return res;
     } else if (this.currentTok.type === TT.IDENTIFIER) {
@@ -1223,9 +2257,11 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftSquare.source)}', '${lc(TT.STRING)}' or '${lc(
-            TT.IDENTIFIER
-          )}'`
+          expected(
+            quote(LEX.leftSquare.source),
+            tokenName(TT.STRING),
+            tokenName(TT.IDENTIFIER)
+          )
         )
       );
     }
@@ -1235,7 +2271,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftCurly.source)}'`
+          expected(quote(LEX.leftCurly.source))
         )
       );
     }
@@ -1251,7 +2287,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightCurly.source)}'`
+          expected(quote(LEX.rightCurly.source))
         )
       );
     }
@@ -1259,7 +2295,7 @@ class Parser {
     res.registerAdvancement();
     this.advance();
 
-    return res.success(new ForEachNode(varName, iteration, body));
+    return res.success(new ForEachNode(varName, iteration, body, pattern));
   };
 
   /** creates a while node */
@@ -1272,7 +2308,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.while}'`
+          expected(quote(LEX.keywords.while))
         )
       );
     }
@@ -1288,7 +2324,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftCurly.source)}'`
+          expected(quote(LEX.leftCurly.source))
         )
       );
     }
@@ -1304,7 +2340,7 @@ class Parser {
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightCurly.source)}'`
+          expected(quote(LEX.rightCurly.source))
         )
       );
     }
@@ -1319,14 +2355,13 @@ class Parser {
   funcDef = () => {
     let res = new ParseResult();
     let varNameTok = null;
-    let body = null;
 
     if (!this.currentTok.matches(TT.KEYWORD, LEX.keywords.function))
       return res.failure(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${LEX.keywords.function}'`
+          expected(quote(LEX.keywords.function))
         )
       );
 
@@ -1339,112 +2374,336 @@ class Parser {
       this.advance();
     }
 
+    let funcDef = res.register(this.funcBody(varNameTok));
+    if (res.error) return res;
+
+    return res.success(funcDef);
+  };
+
+  /**
+   * creates a function definition node from the parameters and body of a function
+   * @param {Token} varNameTok token containing the name of the function, if it has one
+   */
+  funcBody = (varNameTok) => {
+    let res = new ParseResult();
+    let body = null;
+
     if (this.currentTok.type !== TT.LPAREN)
       return res.failure(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
           varNameTok
-            ? `Expected '${lc(LEX.leftParen.source)}'`
-            : `Expected ${lc(TT.IDENTIFIER)} or '${lc(LEX.leftParen.source)}'`
+            ? expected(quote(LEX.leftParen.source))
+            : expected(tokenName(TT.IDENTIFIER), quote(LEX.leftParen.source))
         )
       );
 
     res.registerAdvancement();
     this.advance();
-    let argNameToks = [];
 
-    // skip past any new lines
-    while (this.currentTok.type === TT.NEWLINE) {
+    let [argNameToks, defaultNodes, restNameTok] =
+      res.register(this.params()) || [];
+    if (res.error) return res;
+
+    res.registerAdvancement();
+    this.advance();
+
+    if (this.currentTok.type !== TT.LCURL)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.leftCurly.source))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    body = res.register(this.statements());
+    if (res.error) return res;
+
+    if (this.currentTok.type !== TT.RCURL)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          expected(quote(LEX.rightCurly.source))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    return res.success(
+      new FuncDefNode(varNameTok, argNameToks, body, defaultNodes, restNameTok)
+    );
+  };
+
+  /**
+   * checks if the tokens from the current one start a class definition, ie `aina Mnyama`.
+   * `aina` followed by anything else is still a name, ie a call to the built in function
+   * @returns {Boolean}
+   */
+  isClassDef() {
+    let next = this.tokens[this.tokIdx + 1];
+    return (
+      this.currentTok.matches(TT.IDENTIFIER, LEX.contextual.class) &&
+      !!next &&
+      next.type === TT.IDENTIFIER
+    );
+  }
+
+  /** creates a class definition node, ie `aina Mbwa anarithi Mnyama { ... }` */
+  classDef = () => {
+    let res = new ParseResult();
+    let posStart = this.currentTok.posStart.copy();
+    let parentNode = null;
+    let methodNodes = [];
+
+    res.registerAdvancement();
+    this.advance();
+
+    let varNameTok = this.currentTok;
+    if (varNameTok.type !== TT.IDENTIFIER)
+      return res.failure(
+        new InvalidSyntaxError(
+          varNameTok.posStart,
+          varNameTok.posEnd,
+          expected(tokenName(TT.IDENTIFIER))
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    if (this.currentTok.matches(TT.IDENTIFIER, LEX.contextual.extends)) {
+      res.registerAdvancement();
+      this.advance();
+
+      parentNode = res.register(this.access());
+      if (res.error) return res;
+    }
+
+    if (this.currentTok.type !== TT.LCURL)
+      return res.failure(
+        new InvalidSyntaxError(
+          this.currentTok.posStart,
+          this.currentTok.posEnd,
+          parentNode
+            ? expected(quote(LEX.leftCurly.source))
+            : expected(
+                quote(LEX.contextual.extends),
+                quote(LEX.leftCurly.source)
+              )
+        )
+      );
+
+    res.registerAdvancement();
+    this.advance();
+
+    // methods end with their closing brace, so the next one can follow on the same line,
+    // ie `sauti() { ... } tembea() { ... }`
+    while (true) {
+      while (this.currentTok.type === TT.NEWLINE) {
+        res.registerAdvancement();
+        this.advance();
+      }
+
+      if (this.currentTok.type === TT.RCURL) break;
+      if (this.currentTok.type !== TT.IDENTIFIER)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(tokenName(TT.IDENTIFIER), quote(LEX.rightCurly.source))
+          )
+        );
+
+      let methodNameTok = this.currentTok;
       res.registerAdvancement();
       this.advance();
+
+      let methodNode = res.register(this.funcBody(methodNameTok));
+      if (res.error) return res;
+      methodNodes.push(methodNode);
+    }
+
+    let posEnd = this.currentTok.posEnd.copy();
+    res.registerAdvancement();
+    this.advance();
+
+    return res.success(
+      new ClassDefNode(varNameTok, parentNode, methodNodes, posStart, posEnd)
+    );
+  };
+
+  /**
+   * checks if the tokens from the current one start a lambda, ie `(x) =>` or `x =>`.
+   * only looks ahead, so parenthesised expressions are still parsed as they were
+   * @returns {Boolean}
+   */
+  isLambda() {
+    let idx = this.tokIdx;
+    let nextType = (i) => (this.tokens[i] ? this.tokens[i].type : TT.EOF);
+
+    if (nextType(idx) === TT.IDENTIFIER) return nextType(idx + 1) === TT.ARROW;
+    if (nextType(idx) !== TT.LPAREN) return false;
+
+    // find the parenthesis closing the parameters, ie past any defaults
+    let depth = 0;
+    for (; nextType(idx) !== TT.EOF; idx++) {
+      if (nextType(idx) === TT.LPAREN) depth++;
+      if (nextType(idx) === TT.RPAREN) depth--;
+      if (depth === 0) return nextType(idx + 1) === TT.ARROW;
     }
 
+    return false;
+  }
+
+  /** creates a function definition node from a lambda, ie `(x) => x * 2` */
+  lambdaExpr = () => {
+    let res = new ParseResult();
+    let argNameToks = [];
+    let defaultNodes = [];
+    let restNameTok = null;
+    let body = null;
+
     if (this.currentTok.type === TT.IDENTIFIER) {
       argNameToks.push(this.currentTok);
+      defaultNodes.push(null);
+    } else {
       res.registerAdvancement();
       this.advance();
 
-      while (this.currentTok.type === TT.COMMA) {
+      [argNameToks, defaultNodes, restNameTok] =
+        res.register(this.params()) || [];
+      if (res.error) return res;
+    }
+
+    // skip past the name or closing parenthesis, and the arrow
+    res.registerAdvancement();
+    this.advance();
+    res.registerAdvancement();
+    this.advance();
+
+    if (this.currentTok.type === TT.LCURL) {
+      res.registerAdvancement();
+      this.advance();
+
+      body = res.register(this.statements());
+      if (res.error) return res;
+
+      if (this.currentTok.type !== TT.RCURL)
+        return res.failure(
+          new InvalidSyntaxError(
+            this.currentTok.posStart,
+            this.currentTok.posEnd,
+            expected(quote(LEX.rightCurly.source))
+          )
+        );
+
+      res.registerAdvancement();
+      this.advance();
+    } else {
+      // a body without braces is returned
+      let expr = res.register(this.expr());
+      if (res.error) return res;
+
+      body = new ReturnNode(expr, expr.posStart, expr.posEnd);
+    }
+
+    return res.success(
+      new FuncDefNode(null, argNameToks, body, defaultNodes, restNameTok)
+    );
+  };
+
+  /**
+   * parse the parameters of a function definition, up to the closing parenthesis.
+   * parameters can have defaults, ie `jina = "Rafiki"`, and the last one can
+   * collect the remaining arguments, ie `...vitu`
+   */
+  params = () => {
+    let res = new ParseResult();
+    let argNameToks = [];
+    let defaultNodes = [];
+    let restNameTok = null;
+
+    // skip past any new lines
+    while (this.currentTok.type === TT.NEWLINE) {
+      res.registerAdvancement();
+      this.advance();
+    }
+
+    while ([TT.IDENTIFIER, TT.ELLIPSIS].includes(this.currentTok.type)) {
+      if (this.currentTok.type === TT.ELLIPSIS) {
         res.registerAdvancement();
         this.advance();
 
-        // skip past any more new lines
-        while (this.currentTok.type === TT.NEWLINE) {
-          res.registerAdvancement();
-          this.advance();
-        }
-
         if (this.currentTok.type !== TT.IDENTIFIER)
           return res.failure(
             new InvalidSyntaxError(
               this.currentTok.posStart,
               this.currentTok.posEnd,
-              varNameTok
-                ? `Expected '${lc(LEX.leftParen.source)}'`
-                : `Expected ${lc(TT.IDENTIFIER)} or '${lc(
-                    LEX.leftParen.source
-                  )}'`
+              expected(tokenName(TT.IDENTIFIER))
             )
           );
 
-        argNameToks.push(this.currentTok);
+        restNameTok = this.currentTok;
         res.registerAdvancement();
         this.advance();
+        break;
       }
 
-      if (this.currentTok.type !== TT.RPAREN)
-        return res.failure(
-          new InvalidSyntaxError(
-            this.currentTok.posStart,
-            this.currentTok.posEnd,
-            `Expected '${lc(LEX.comma.source)}' or '${lc(
-              LEX.rightParen.source
-            )}'`
-          )
-        );
-    } else {
-      if (this.currentTok.type !== TT.RPAREN)
+      argNameToks.push(this.currentTok);
+      res.registerAdvancement();
+      this.advance();
+
+      let defaultNode = null;
+      if (this.currentTok.type === TT.EQ) {
+        res.registerAdvancement();
+        this.advance();
+
+        defaultNode = res.register(this.expr());
+        if (res.error) return res;
+      }
+      defaultNodes.push(defaultNode);
+
+      if (this.currentTok.type !== TT.COMMA) break;
+      res.registerAdvancement();
+      this.advance();
+
+      // skip past any more new lines
+      while (this.currentTok.type === TT.NEWLINE) {
+        res.registerAdvancement();
+        this.advance();
+      }
+
+      if (![TT.IDENTIFIER, TT.ELLIPSIS].includes(this.currentTok.type))
         return res.failure(
           new InvalidSyntaxError(
             this.currentTok.posStart,
             this.currentTok.posEnd,
-            `Expected ${lc(TT.IDENTIFIER)} or '${lc(LEX.rightParen.source)}'`
+            expected(tokenName(TT.IDENTIFIER), quote(LEX.ellipsis))
           )
         );
     }
 
-    res.registerAdvancement();
-    this.advance();
-
-    if (this.currentTok.type !== TT.LCURL)
-      return res.failure(
-        new InvalidSyntaxError(
-          this.currentTok.posStart,
-          this.currentTok.posEnd,
-          `Expected '${lc(LEX.leftCurly.source)}'`
-        )
-      );
-
-    res.registerAdvancement();
-    this.advance();
-
-    body = res.register(this.statements());
-    if (res.error) return res;
-
-    if (this.currentTok.type !== TT.RCURL)
+    if (this.currentTok.type !== TT.RPAREN)
       return res.failure(
         new InvalidSyntaxError(
           this.currentTok.posStart,
           this.currentTok.posEnd,
-          `Expected '${lc(LEX.rightCurly.source)}'`
+          restNameTok
+            ? expected(quote(LEX.rightParen.source))
+            : argNameToks.length
+            ? expected(quote(LEX.comma.source), quote(LEX.rightParen.source))
+            : expected(tokenName(TT.IDENTIFIER), quote(LEX.rightParen.source))
         )
       );
 
-    res.registerAdvancement();
-    this.advance();
-
-    return res.success(new FuncDefNode(varNameTok, argNameToks, body));
+    return res.success([argNameToks, defaultNodes, restNameTok]);
   };
 
   /**
@@ -1,6 +1,7 @@
 class ParseResult {
   constructor() {
     this.error = null;
+    this.errors = [];
     this.node = null;
     this.lastRegisteredAdvanceCount = 0;
     this.advanceCount = 0;
@@ -14,6 +15,14 @@ class ParseResult {
     this.advanceCount++;
   }
 
+  /**
+   * keeps count of the advancements of a ParseResult whose error was recovered from
+   * @param {ParseResult} res failed ParseResult
+   */
+  registerRecovery(res) {
+    this.advanceCount += res.advanceCount;
+  }
+
   /**
    * extracts a node from a successful ParseResult or returns its associated error
    * @param {ParseResult} res parsed {node, error} to process
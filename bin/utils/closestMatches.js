@@ -0,0 +1,71 @@
+const { t, either } = require('../locale');
+
+/**
+ * Counts the single character edits (insertions, deletions or substitutions)
+ * needed to turn one string into another
+ * @param {String} a the first string
+ * @param {String} b the second string
+ * @returns {Number}
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/** names shorter than this are only matched when they differ in case */
+const MIN_LENGTH = 3;
+
+/**
+ * Finds the candidates closest to a misspelled name, closest first.
+ * differences in case are not counted as mistakes
+ * @param {String} name the misspelled name
+ * @param {String[]} candidates the names that could have been meant
+ * @param {Number} limit the most matches to return
+ * @returns {String[]}
+ */
+function closestMatches(name, candidates, limit = 3) {
+  // allow roughly one mistake for every three characters. any mistake in a
+  // name of one or two characters leaves too little of it to go on
+  let maxDistance =
+    name.length < MIN_LENGTH ? 0 : Math.max(1, Math.floor(name.length / 3));
+  let folded = name.toLowerCase();
+
+  return [...new Set(candidates)]
+    .filter((candidate) => candidate !== name)
+    .map((candidate) => [
+      candidate,
+      levenshtein(folded, candidate.toLowerCase()),
+    ])
+    .filter(([, distance]) => distance <= maxDistance)
+    .sort(([a, x], [b, y]) => x - y || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([candidate]) => candidate);
+}
+
+/**
+ * Suggests the names closest to a misspelled one, to be added to an error message
+ * @param {String} name the misspelled name
+ * @param {String[]} candidates the names that could have been meant
+ * @returns {String} an empty string when no name is close enough
+ */
+function didYouMean(name, candidates) {
+  let matches = closestMatches(name, candidates).map((match) => `'${match}'`);
+  if (!matches.length) return '';
+  return '. ' + t('hint.didYouMean', { names: either(matches) });
+}
+
+module.exports = { closestMatches, didYouMean };
@@ -1,43 +1,105 @@
+const colors = require('colors');
+
+const LEX = require('../lexer/lexemes');
+
+/** settings used when stringWithArrows is not given its own options */
+const defaults = {
+  contextLines: parseContextLines(process.env.SWAHILI_CONTEXT_LINES, 2),
+};
+
+/**
+ * reads a number of context lines, ie from an environment variable or CLI flag
+ * @param {String} value the value to read
+ * @param {Number} fallback returned when the value is not a whole number
+ * @returns {Number}
+ */
+function parseContextLines(value, fallback = null) {
+  return /^\d+$/.test(value || '') ? Number(value) : fallback;
+}
+
 /**
  * Prints out lines of code and indicates the position of errors
- * using arrows
+ * using arrows. the lines of the error are marked in the gutter and
+ * surrounded by a few lines of context
  * @param {String} text text to be printed to the terminal
  * @param {Postion} posStart position at which the error occurred
  * @param {Position} posEnd position where the token ends
+ * @param {Object} options
+ * @param {Number} options.contextLines lines to show before and after the error
+ * @param {Boolean} options.color whether to highlight the error span
  * @returns {String}
  */
-function stringWithArrows(text, posStart, posEnd) {
-  let result = '';
+function stringWithArrows(text, posStart, posEnd, options = {}) {
+  if (!text || !posStart) return '';
+
+  const { contextLines = defaults.contextLines, color = true } = options;
+  const highlight = (str) => (color ? colors.red(str) : str);
+  const dim = (str) => (color ? colors.grey(str) : str);
+
+  // tabs are one column wide as far as positions are concerned
+  const lines = text.replace(/\t/g, ' ').split(LEX.line);
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
 
-  /** Calculate indices */
-  let lastNewLine = text.lastIndexOf('\n', posStart.idx);
-  lastNewLine = lastNewLine !== -1 ? lastNewLine + 1 : 0;
-  let idxStart = lastNewLine;
-  let idxEnd = text.indexOf('\n', idxStart + 1);
-  if (idxEnd < 0) idxEnd = text.length;
+  /** Calculate the span of the error */
+  let startLine = Math.min(posStart.lineNumber, lines.length - 1);
+  let startCol = Math.max(posStart.colNumber, 0);
+  let endLine = posEnd ? posEnd.lineNumber : startLine;
+  let endCol = posEnd ? posEnd.colNumber : startCol + 1;
+
+  // spans ending at the very start of a line end with the line before it
+  if (endLine > startLine && endCol <= 0) {
+    endLine--;
+    endCol = lines[endLine].length;
+  }
+  if (endLine >= lines.length) {
+    endLine = lines.length - 1;
+    endCol = lines[endLine].length;
+  }
+  endLine = Math.max(endLine, startLine);
+
+  const firstLine = Math.max(startLine - contextLines, 0);
+  const lastLine = Math.min(endLine + contextLines, lines.length - 1);
+  const gutterWidth = String(lastLine + 1).length;
 
   /** Generate each line */
-  const lineCount = posEnd.lineNumber - posStart.lineNumber + 1;
-  for (let i = 0; i < lineCount; i++) {
-    /** Calculate line columns */
-    const line = text.substr(idxStart, idxEnd - idxStart);
-    let colStart = i === 0 ? Math.max(posStart.colNumber, 0) : 0;
-    let colEnd = i === lineCount - 1 ? posEnd.colNumber : line.length - 1;
-    if (colStart > colEnd) {
-      [colStart, colEnd] = [colEnd, colStart];
+  let result = [];
+  for (let i = firstLine; i <= lastLine; i++) {
+    const line = lines[i];
+    const lineNumber = String(i + 1).padStart(gutterWidth);
+
+    if (i < startLine || i > endLine) {
+      result.push(dim(`  ${lineNumber} | `) + line);
+      continue;
     }
 
-    /** Append to result */
-    result += line + '\n';
-    result += ' '.repeat(colStart) + '^'.repeat(Math.max(colEnd - colStart, 1));
+    /** Calculate line columns */
+    // lines after the first are marked from their indentation onwards
+    let colStart =
+      i === startLine
+        ? Math.min(startCol, line.length)
+        : line.length - line.trimStart().length;
+    let colEnd = i === endLine ? Math.min(endCol, line.length) : line.length;
+    if (colStart > colEnd) [colStart, colEnd] = [colEnd, colStart];
+    const width = Math.max(colEnd - colStart, 1);
 
-    /** Re-calculate indices */
-    idxStart = idxEnd;
-    idxEnd = text.indexOf('\n', idxStart + 1);
-    if (idxEnd < 0) idxEnd = text.length;
+    result.push(
+      highlight('>') +
+        dim(` ${lineNumber} | `) +
+        line.slice(0, colStart) +
+        highlight(line.slice(colStart, colEnd)) +
+        line.slice(colEnd)
+    );
+    result.push(
+      dim(`  ${' '.repeat(gutterWidth)} | `) +
+        ' '.repeat(colStart) +
+        highlight('^'.repeat(width))
+    );
   }
 
-  return result.replace(/\t/g, '');
+  return result.join('\n');
 }
 
+stringWithArrows.defaults = defaults;
+stringWithArrows.parseContextLines = parseContextLines;
+
 module.exports = stringWithArrows;
@@ -0,0 +1,141 @@
+const { Swahili, toJS } = require('../bin/api');
+const SWObject = require('../bin/interpreter/types/object');
+
+describe('Embedding API', () => {
+  it('Captures output instead of printing it', () => {
+    const sw = new Swahili();
+    const { output, errors } = sw.run('andika("jambo", 1)\nandika([1, 2])');
+
+    expect(errors).toEqual([]);
+    expect(output).toEqual(['jambo 1', '1, 2']);
+  });
+
+  it('Returns the value of the last statement as a JavaScript value', () => {
+    const sw = new Swahili();
+    const { value } = sw.run('wacha k = { jina: "Asha", umri: 3 }\nk');
+
+    expect(value).toEqual({ jina: 'Asha', umri: 3 });
+  });
+
+  it('Converts nested objects', () => {
+    const { value, errors } = new Swahili().run(
+      '{ a: { b: 1, c: [{ d: 2 }] } }'
+    );
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ a: { b: 1, c: [{ d: 2 }] } });
+  });
+
+  it('Converts objects that contain themselves', () => {
+    const object = new SWObject();
+    object.symbolTable.set('mimi', object);
+    const converted = toJS(object);
+
+    expect(converted.mimi).toBe(converted);
+  });
+
+  it('Reads input from the given list', () => {
+    const sw = new Swahili({ input: ['Asha', '7'] });
+    const { output } = sw.run(
+      'wacha jina = soma("Jina? ")\nwacha n = somaNambari()\nandika(jina, n + 1)'
+    );
+
+    expect(output).toEqual(['Asha 8']);
+  });
+
+  it('Keeps instances isolated from each other', () => {
+    const first = new Swahili();
+    const second = new Swahili();
+    first.run('wacha x = 1');
+
+    expect(first.run('x').value).toBe(1);
+    expect(second.run('x').errors[0].kind).toBe('KosaLaJina');
+  });
+
+  it('Calls host functions with converted values', () => {
+    const sw = new Swahili({
+      functions: { jumla: (list) => list.reduce((a, b) => a + b, 0) },
+    });
+
+    expect(sw.run('jumla([1, 2, 3])').value).toBe(6);
+    expect(new Swahili().run('jumla([1])').errors).toHaveLength(1);
+  });
+
+  it('Raises errors thrown by host functions as runtime errors', () => {
+    const sw = new Swahili().register('hatari', () => {
+      throw new Error('hitilafu');
+    });
+    const [error] = sw.run('andika(1)\nhatari()').errors;
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message: 'hitilafu',
+      line: 2,
+    });
+  });
+
+  it('Returns every syntax error', () => {
+    const { errors } = new Swahili().run('wacha = 1\nwacha y 2');
+
+    expect(errors.map((err) => err.line)).toEqual([1, 2]);
+  });
+
+  it('Waits for timers to finish', async () => {
+    const sw = new Swahili();
+    const result = await sw.runAsync(
+      'andika(1)\nsubiri(shughuli() { andika(2) }, 5)'
+    );
+
+    expect(result.output).toEqual(['1', '2']);
+    expect(result.timedOut).toBe(false);
+  });
+
+  it('Stops programs that go over the step limit', () => {
+    const sw = new Swahili({ limits: { steps: 1000 } });
+    const { errors } = sw.run(
+      'wacha x = 0\njaribu {\n  ambapo kweli { x = x + 1 }\n} iwapo (e) { andika(e) }'
+    );
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].kind).toBeUndefined();
+    expect(errors[0].name).toBe('Kikomo Kimezidiwa');
+  });
+
+  it('Stops programs that go over the call depth limit', () => {
+    const sw = new Swahili({ limits: { callDepth: 20 } });
+    const { errors } = sw.run('shughuli f() { rudisha 1 + f() }\nf()');
+
+    expect(errors[0].message).toMatch(/20/);
+  });
+
+  it('Applies the limits of the current run to functions from earlier runs', () => {
+    const sw = new Swahili({ limits: { timeout: 50 } });
+    sw.run('shughuli mara2(n) { rudisha n * 2 }\nwacha L = [1, 2]');
+
+    // wait past the deadline of the first run
+    const start = Date.now();
+    while (Date.now() - start < 100);
+
+    const { value, errors } = sw.run('[mara2(2), L.fanya(mara2)]');
+    expect(errors).toEqual([]);
+    expect(value).toEqual([4, [2, 4]]);
+  });
+
+  it('Still stops functions from earlier runs at the time limit', () => {
+    const sw = new Swahili({ limits: { timeout: 50 } });
+    sw.run('shughuli milele() {\n  wacha x = 0\n  ambapo kweli { x += 1 }\n}');
+    const { errors } = sw.run('milele()');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].name).toBe('Kikomo Kimezidiwa');
+  });
+
+  it('Stops timers that go over the time limit', async () => {
+    const sw = new Swahili({ limits: { timeout: 50 } });
+    const result = await sw.runAsync('rudia(shughuli() { andika(1) }, 5)');
+
+    expect(result.timedOut).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].line).toBe(1);
+  });
+});
@@ -0,0 +1,76 @@
+const { evaluate } = require('./helpers');
+
+describe('Compound assignment', () => {
+  it('Combines the value of a variable with an operator', () => {
+    const { value } = evaluate(`
+wacha x = 5
+x += 2
+x -= 1
+x *= 3
+x /= 2
+x %= 4
+wacha s = "a"
+s += "b"
+[x, s]`);
+
+    expect(value).toEqual([1, 'ab']);
+  });
+
+  it('Updates the properties of objects and instances', () => {
+    const { value } = evaluate(`
+aina Kihesabu {
+  unda() { hii.n = 0 }
+  ongeza() { hii.n += 1 }
+}
+wacha k = Kihesabu()
+k.ongeza()
+k.ongeza()
+wacha o = { a: { c: 1 } }
+o.a.c *= 3
+o.a.c += 1
+[k.n, o]`);
+
+    expect(value).toEqual([2, { a: { c: 4 } }]);
+  });
+
+  it('Reports illegal operations on properties', () => {
+    const { value, error } = evaluate('wacha o = { a: 1 }\no.a -= "x"');
+
+    expect(value).toBeNull();
+    expect(error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message: 'Operesheni isiyoruhusiwa',
+      line: 2,
+    });
+  });
+
+  it('Reports missing properties', () => {
+    const { error } = evaluate('wacha o = { jina: 1 }\no.jna += 1');
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message:
+        "Haiwezekani kupata sifa 'jna' ya kitu kisichofafanuliwa. Ulimaanisha 'jina'?",
+      line: 2,
+    });
+  });
+
+  it('Reports undeclared variables', () => {
+    const { error } = evaluate('y += 1');
+
+    expect(error).toMatchObject({ kind: 'KosaLaJina', line: 1 });
+  });
+
+  it("Doesn't change constants", () => {
+    for (let name of ['kweli', 'tupu', 'andika']) {
+      const { error } = evaluate(`${name} += 1`);
+
+      expect(error).toMatchObject({
+        kind: 'KosaLaUendeshaji',
+        message: `Haiwezekani kubadili thamani ya kisibadilika '${name}'`,
+        line: 1,
+        column: 1,
+      });
+    }
+  });
+});
@@ -0,0 +1,87 @@
+const { evaluate, evaluateFixture } = require('./helpers');
+
+describe('Catching errors by kind', () => {
+  it('Runs the first iwapo block that matches the kind of error', () => {
+    const { value, error } = evaluateFixture('makosa/kundi.swh');
+
+    expect(error).toBeNull();
+    expect(value).toEqual([3, 'Nambari hasi haina mzizi', 'jingine']);
+  });
+
+  it('Gives built in errors their own kinds', () => {
+    const { value } = evaluate(`
+wacha L = []
+kwa kazi katika [() => 1 / 0, () => [1][5], () => hakuna, () => aina(), () => { tupa "x" }] {
+  jaribu {
+    kazi()
+  } iwapo (e: KosaLaKugawa) {
+    L = L + "kugawa"
+  } iwapo (e: KosaLaFaharasa) {
+    L = L + "faharasa"
+  } iwapo (e: KosaLaJina) {
+    L = L + "jina"
+  } iwapo (e: KosaLaUendeshaji) {
+    L = L + "uendeshaji"
+  } iwapo (e) {
+    L = L + "kosa"
+  }
+}
+L`);
+
+    expect(value).toEqual(['kugawa', 'faharasa', 'jina', 'uendeshaji', 'kosa']);
+  });
+
+  it('Passes errors no block matches to the enclosing jaribu after mwishowe', () => {
+    const { value } = evaluate(`
+wacha L = []
+jaribu {
+  jaribu {
+    tupa { kundi: "KosaLaMtandao", ujumbe: "Hakuna mtandao" }
+  } iwapo (e: KosaLaNambari) {
+    L = L + "ndani"
+  } mwishowe {
+    L = L + "mwishowe"
+  }
+} iwapo (e: KosaLaMtandao) {
+  L = L + e.ujumbe
+}
+L`);
+
+    expect(value).toEqual(['mwishowe', 'Hakuna mtandao']);
+  });
+
+  it('Stops the program with the original error when nothing matches', () => {
+    const { output, error } = evaluateFixture('makosa/haijanaswa.swh');
+
+    expect(output).toEqual(['mwishowe']);
+    expect(error).toMatchObject({
+      kind: 'KosaLaNambari',
+      message: 'Nambari hasi haina mzizi',
+      line: 3,
+    });
+    expect(error.file).toMatch('mzizi.swh');
+  });
+
+  it('Raises errors thrown inside a matching block', () => {
+    const { error } = evaluate(`
+jaribu {
+  wacha x = 1 / 0
+} iwapo (e: KosaLaJina) {
+  andika(1)
+} iwapo (e: KosaLaKugawa) {
+  tupa Kosa("KosaLaKwanza", "mpya")
+}`);
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaKwanza',
+      message: 'mpya',
+      line: 7,
+    });
+  });
+
+  it('Only names kinds of errors with strings', () => {
+    const { error } = evaluate('Kosa(5, "x")');
+
+    expect(error.message).toBe("Hoja 'kundi' lazima iwe Jina");
+  });
+});
@@ -0,0 +1,113 @@
+const { evaluate } = require('./helpers');
+
+const animals = `
+aina Mnyama {
+  unda(jina, sauti = "...") {
+    hii.jina = jina
+    hii.sauti = sauti
+  }
+
+  sema() {
+    rudisha hii.jina + " anasema " + hii.sauti
+  }
+}
+
+aina Mbwa anarithi Mnyama {
+  unda(jina) {
+    mzazi.unda(jina, "hau")
+  }
+
+  sema() {
+    rudisha mzazi.sema() + "!"
+  }
+}
+
+wacha paka = Mnyama("Paka", "nyau")
+wacha mbwa = Mbwa("Simba")
+`;
+
+describe('Classes', () => {
+  it('Creates instances with their own properties', () => {
+    const { value } = evaluate(
+      animals + '[paka, mbwa, Mnyama("Ng\'ombe"), paka.sema()]'
+    );
+
+    expect(value).toEqual([
+      { jina: 'Paka', sauti: 'nyau' },
+      { jina: 'Simba', sauti: 'hau' },
+      { jina: "Ng'ombe", sauti: '...' },
+      'Paka anasema nyau',
+    ]);
+  });
+
+  it('Can be defined on one line', () => {
+    const { value, error } = evaluate(
+      'aina Mnyama { unda(jina) { hii.jina = jina } sauti() { rudisha hii.jina + " analia" } }\nMnyama("Paka").sauti()'
+    );
+
+    expect(error).toBeNull();
+    expect(value).toBe('Paka analia');
+  });
+
+  it('Runs the methods they replace through mzazi', () => {
+    const { value } = evaluate(animals + 'mbwa.sema()');
+
+    expect(value).toBe('Simba anasema hau!');
+  });
+
+  it('Names instances by their class', () => {
+    const { value } = evaluate(animals + '[aina(paka), aina(mbwa), aina({})]');
+
+    expect(value).toEqual(['Mnyama', 'Mbwa', 'Kamusi']);
+  });
+
+  it('Checks instances of a class and the classes it inherits from', () => {
+    const { value } = evaluate(
+      animals +
+        '[niAina(mbwa, Mbwa), niAina(mbwa, Mnyama), niAina(paka, Mbwa), niAina(5, Mnyama)]'
+    );
+
+    expect(value).toEqual([true, true, false, false]);
+  });
+
+  it('Only checks instances against classes', () => {
+    const { error } = evaluate(animals + 'niAina(paka, 5)');
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message: "Hoja 'darasa' lazima iwe Aina",
+    });
+  });
+
+  it('Reports a missing or invalid parent class', () => {
+    expect(
+      evaluate('aina B anarithi C {\n  f() { rudisha 1 }\n}').error
+    ).toMatchObject({ kind: 'KosaLaJina', line: 1, column: 17 });
+    expect(
+      evaluate('wacha x = 5\naina B anarithi x {\n  f() { rudisha 1 }\n}').error
+        .message
+    ).toBe("'x' si aina");
+  });
+
+  it('Only has mzazi in classes that inherit', () => {
+    const { error } = evaluate(`
+aina A {
+  f() { rudisha mzazi.f() }
+}
+A().f()`);
+
+    expect(error).toMatchObject({ kind: 'KosaLaJina', line: 3 });
+  });
+
+  it('Takes no arguments without a constructor', () => {
+    expect(evaluate('aina A {}\n[A()]').value).toEqual([{}]);
+    expect(evaluate('aina A {}\nA(1, 2)').error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message: "'A' inapokea hoja 0 tu, lakini imepewa 2",
+      line: 2,
+    });
+    expect(evaluate('aina A {}\nA(x: 1)').error.message).toBe(
+      "'A' haina kigezo kinachoitwa 'x'"
+    );
+  });
+});
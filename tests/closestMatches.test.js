@@ -0,0 +1,51 @@
+const { closestMatches, didYouMean } = require('../bin/utils/closestMatches');
+
+describe('Closest matches', () => {
+  it('Allows about one mistake for every three characters', () => {
+    expect(closestMatches('jna', ['jina', 'jana', 'kitu'])).toEqual([
+      'jana',
+      'jina',
+    ]);
+    expect(closestMatches('urfu', ['urefu', 'urf'])).toEqual(['urefu', 'urf']);
+    expect(closestMatches('hesbau', ['hesabu', 'herufi'])).toEqual(['hesabu']);
+    expect(closestMatches('jumla', ['jumlisha'])).toEqual([]);
+  });
+
+  it('Puts the closest first, then sorts them by name', () => {
+    expect(
+      closestMatches('orodhaa', ['orodha', 'orod', 'orodh', 'odha'])
+    ).toEqual(['orodha', 'orodh']);
+    expect(
+      closestMatches('mbwa', ['mbwa1', 'mbwa2', 'mbwa3', 'mbw'], 2)
+    ).toEqual(['mbw', 'mbwa1']);
+  });
+
+  it("Doesn't count differences in case", () => {
+    expect(closestMatches('mnyama', ['Mnyama', 'mnyama'])).toEqual(['Mnyama']);
+    expect(closestMatches('Jna', ['jina'])).toEqual(['jina']);
+  });
+
+  it('Only matches short names that differ in case', () => {
+    expect(closestMatches('y', ['e', 'x', 'yy'])).toEqual([]);
+    expect(closestMatches('ab', ['a', 'abc', 'ba'])).toEqual([]);
+    expect(closestMatches('x', ['X', 'e'])).toEqual(['X']);
+  });
+
+  it('Leaves out the name itself and repeated candidates', () => {
+    expect(closestMatches('kitu', ['kitu', 'kit', 'kit'])).toEqual(['kit']);
+  });
+});
+
+describe('Did you mean', () => {
+  it('Suggests the closest names in the message', () => {
+    expect(didYouMean('jna', ['jina'])).toBe(". Ulimaanisha 'jina'?");
+    expect(didYouMean('jna', ['jina', 'jana'])).toBe(
+      ". Ulimaanisha 'jana' au 'jina'?"
+    );
+  });
+
+  it('Adds nothing when no name is close enough', () => {
+    expect(didYouMean('y', ['e'])).toBe('');
+    expect(didYouMean('jina', [])).toBe('');
+  });
+});
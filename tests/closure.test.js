@@ -0,0 +1,120 @@
+const { Swahili } = require('../bin/api');
+const { evaluate } = require('./helpers');
+
+describe('Closures', () => {
+  it('Keeps a counter between calls', () => {
+    const { value } = evaluate(`
+shughuli kihesabu() {
+  wacha n = 0
+  rudisha () => {
+    n += 1
+    rudisha n
+  }
+}
+wacha hesabu = kihesabu()
+hesabu()
+hesabu()
+hesabu()`);
+
+    expect(value).toBe(3);
+  });
+
+  it('Gives each call its own variables', () => {
+    const { value } = evaluate(`
+shughuli kihesabu() {
+  wacha n = 0
+  rudisha shughuli () {
+    n += 1
+    rudisha n
+  }
+}
+wacha a = kihesabu()
+wacha b = kihesabu()
+a()
+a()
+[a(), b()]`);
+
+    expect(value).toEqual([3, 1]);
+  });
+
+  it('Captures the arguments of the function that made them', () => {
+    const { value } = evaluate(`
+shughuli mwongezaji(x) {
+  rudisha (y) => x + y
+}
+wacha ongeza5 = mwongezaji(5)
+wacha ongeza10 = mwongezaji(10)
+[ongeza5(1), ongeza10(1), ongeza5(2)]`);
+
+    expect(value).toEqual([6, 11, 7]);
+  });
+
+  it('Sees the variables where it was defined, not where it was called', () => {
+    const { value } = evaluate(`
+wacha x = "nje"
+shughuli onyesha() {
+  rudisha x
+}
+shughuli ita() {
+  wacha x = "ndani"
+  rudisha onyesha()
+}
+ita()`);
+
+    expect(value).toBe('nje');
+  });
+
+  it('Nests more than one level deep', () => {
+    const { value } = evaluate(`
+shughuli a(x) {
+  rudisha (y) => (z) => x + y + z
+}
+a(1)(2)(3)`);
+
+    expect(value).toBe(6);
+  });
+
+  it('Memoizes the results of a function', () => {
+    const { value } = evaluate(`
+wacha miito = 0
+shughuli kumbuka(shug) {
+  wacha akiba = []
+  wacha majibu = []
+  rudisha (n) => {
+    kwa i = 0 mpaka akiba.idadi() {
+      kama (akiba[i] == n) {
+        rudisha majibu[i]
+      }
+    }
+    wacha jibu = shug(n)
+    akiba = akiba + n
+    majibu = majibu + jibu
+    rudisha jibu
+  }
+}
+wacha mraba = kumbuka((n) => {
+  miito += 1
+  rudisha n * n
+})
+[mraba(3), mraba(4), mraba(3), mraba(4), miito]`);
+
+    expect(value).toEqual([9, 16, 9, 16, 2]);
+  });
+
+  it('Lets callbacks change the variables around them', async () => {
+    const sw = new Swahili();
+    const { output, errors } = await sw.runAsync(`
+wacha hesabu = 0
+wacha kipima = tupu
+kipima = rudia(() => {
+  hesabu += 1
+  kama (hesabu == 3) {
+    komesha(kipima)
+    andika(hesabu)
+  }
+}, 5)`);
+
+    expect(errors).toEqual([]);
+    expect(output).toEqual(['3']);
+  });
+});
@@ -0,0 +1,52 @@
+const { evaluate } = require('./helpers');
+
+describe('Inline conditions', () => {
+  it('Chooses a value by its condition', () => {
+    const { value } = evaluate(`
+wacha umri = 20
+["mtu mzima" kama umri >= 18 sivyo "mtoto", "mtu mzima" kama umri >= 30 sivyo "mtoto"]`);
+
+    expect(value).toEqual(['mtu mzima', 'mtoto']);
+  });
+
+  it('Checks chained conditions from left to right', () => {
+    const { value } = evaluate(`
+shughuli daraja(alama) {
+  rudisha "A" kama alama >= 80 sivyo "B" kama alama >= 60 sivyo "C"
+}
+[daraja(90), daraja(70), daraja(10)]`);
+
+    expect(value).toEqual(['A', 'B', 'C']);
+  });
+
+  it('Only evaluates the value that is chosen', () => {
+    const { value } = evaluate(`
+wacha x = 0
+wacha vilivyoitwa = []
+shughuli ita(k) {
+  vilivyoitwa = vilivyoitwa + k
+  rudisha k
+}
+[1 / x kama x != 0 sivyo 0, ita(1) kama kweli sivyo ita(2), vilivyoitwa]`);
+
+    expect(value).toEqual([0, 1, [1]]);
+  });
+
+  it('Can be used inside larger expressions', () => {
+    const { value } = evaluate('(1 kama uwongo sivyo 2) + 10');
+
+    expect(value).toBe(12);
+  });
+
+  it('Reports errors in the condition', () => {
+    const { error } = evaluate('wacha x = 1 kama y sivyo 2');
+
+    expect(error).toMatchObject({ kind: 'KosaLaJina', line: 1, column: 18 });
+  });
+
+  it('Requires sivyo', () => {
+    const { error } = evaluate('wacha x = 1 kama kweli');
+
+    expect(error.message).toBe("Ilitarajiwa 'sivyo'");
+  });
+});
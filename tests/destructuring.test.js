@@ -0,0 +1,91 @@
+const { evaluate } = require('./helpers');
+
+describe('Destructuring', () => {
+  it('Declares variables for the parts of lists and objects', () => {
+    const { value } = evaluate(`
+wacha [a, b] = [1, 2]
+wacha { jina, umri } = { jina: "Asha", umri: 12 }
+wacha { jina: n } = { jina: "Wendo" }
+wacha [kwanza, ...baki] = [1, 2, 3]
+wacha [[x, y], z] = [[1, 2], 3]
+[a, b, jina, umri, n, kwanza, baki, x, y, z]`);
+
+    expect(value).toEqual([1, 2, 'Asha', 12, 'Wendo', 1, [2, 3], 1, 2, 3]);
+  });
+
+  it('Uses defaults for missing elements and properties', () => {
+    const { value } = evaluate(`
+wacha [a, b = a + 1] = [1]
+wacha { mji = "Nairobi", jina } = { jina: "Asha" }
+[a, b, mji, jina]`);
+
+    expect(value).toEqual([1, 2, 'Nairobi', 'Asha']);
+  });
+
+  it("Reports values that don't match the pattern", () => {
+    for (let [code, shown] of [
+      ['wacha [a, b] = [1, 2, 3]', '[1, 2, 3]'],
+      ['wacha { jina } = { umri: 3 }', '{ umri: 3 }'],
+      ['wacha [a] = 5', '5'],
+    ]) {
+      const { error } = evaluate(code);
+
+      expect(error).toMatchObject({
+        kind: 'KosaLaUendeshaji',
+        message: `Thamani ${shown} hailingani na kiolezo`,
+        line: 1,
+        column: 7,
+      });
+    }
+  });
+
+  it("Doesn't redeclare variables", () => {
+    const { error } = evaluate('wacha a = 1\nwacha [a] = [2]');
+
+    expect(error.message).toBe("Haiwezekani kutangaza 'a' tena");
+  });
+
+  it('Only gives each name one value', () => {
+    const cases = [
+      ['wacha [a, a] = [1, 2]', 'a', 11],
+      ['wacha [a, ...a] = [1, 2]', 'a', 14],
+      ['wacha { a, b: [a] } = { a: 1, b: [2] }', 'a', 16],
+      ['chagua [1, 2] {\n  kesi [x, Nambari x]: x\n}', 'x', 20],
+    ];
+
+    for (let [code, name, column] of cases) {
+      expect(evaluate(code).error).toMatchObject({
+        kind: 'KosaLaUendeshaji',
+        message: `'${name}' imepewa thamani zaidi ya moja katika kiolezo`,
+        column,
+      });
+    }
+  });
+
+  it('Destructures the elements of a kwa...katika loop', () => {
+    const { value } = evaluate(`
+wacha mtu = { jina: "Juma", umri: 20 }
+wacha L = []
+kwa [ufunguo, thamani] katika mtu.viingilio() {
+  L = L + [ufunguo, thamani]
+}
+L`);
+
+    expect(value).toEqual([
+      ['jina', 'Juma'],
+      ['umri', 20],
+    ]);
+  });
+
+  it("Reports loop elements that don't match the pattern", () => {
+    const { error } = evaluate(`
+kwa [a, b] katika [[1, 2], [3]] {
+  andika(a)
+}`);
+
+    expect(error).toMatchObject({
+      message: 'Thamani [3] hailingani na kiolezo',
+      line: 2,
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const path = require('path');
+
+const { evaluate, evaluateFixture } = require('./helpers');
+
+describe('Caught errors', () => {
+  it('Describe the error and the file, line and column it happened at', () => {
+    const { value } = evaluateFixture('makosa/programu.swh');
+
+    expect(value).toEqual([
+      'Kosa la Uendeshaji',
+      'KosaLaFaharasa',
+      path.relative(
+        process.cwd(),
+        path.join(__dirname, 'fixtures/makosa/orodha.swh')
+      ),
+      2,
+      18,
+      null,
+    ]);
+  });
+
+  it('Give the message of errors raised by the language', () => {
+    const { value } = evaluate(`
+wacha e = tupu
+jaribu {
+  wacha x = y
+} iwapo (shida) {
+  e = shida
+}
+[e.ujumbe, aina(e)]`);
+
+    expect(value).toEqual(["'y' haijafafanuliwa", 'Kosa']);
+  });
+
+  it('Keep the values thrown with tupa', () => {
+    const { value } = evaluate(`
+wacha e = tupu
+jaribu {
+  tupa { msimbo: 404 }
+} iwapo (shida) {
+  e = shida
+}
+[e.thamani, e.thamani.msimbo, e.mstari, e.safu, e.aina, e.kundi]`);
+
+    expect(value).toEqual([
+      { msimbo: 404 },
+      404,
+      4,
+      3,
+      'Kosa Lisilonaswa',
+      'Kosa',
+    ]);
+  });
+
+  it('Use thrown strings as the message', () => {
+    const { value } = evaluate(`
+wacha e = tupu
+jaribu {
+  tupa "shida yangu"
+} iwapo (shida) {
+  e = shida
+}
+[e.thamani, e.ujumbe]`);
+
+    expect(value).toEqual(['shida yangu', 'shida yangu']);
+  });
+
+  it('Hold the traceback of the calls leading up to the error', () => {
+    const { value } = evaluate(`
+shughuli f() {
+  rudisha 1 / 0
+}
+wacha e = tupu
+jaribu { f() } iwapo (shida) { e = shida }
+e.mfuatano`);
+    const lines = value.split('\n');
+
+    expect(lines).toHaveLength(4);
+    expect(lines[3]).toBe('Faili "<programu>:3:15", katika f');
+  });
+
+  it('Keep their details when thrown again', () => {
+    const { value } = evaluate(`
+wacha e = tupu
+jaribu {
+  jaribu {
+    wacha x = y
+  } iwapo (shida) {
+    tupa shida
+  }
+} iwapo (shida) {
+  e = shida
+}
+[e.kundi, e.mstari, e.safu]`);
+
+    expect(value).toEqual(['KosaLaJina', 5, 15]);
+  });
+
+  it('Stop the program when they are not caught', () => {
+    const { error } = evaluate('\ntupa "hapana"');
+
+    expect(error).toMatchObject({ kind: 'Kosa', message: 'hapana', line: 2 });
+  });
+});
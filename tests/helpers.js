@@ -1,3 +1,8 @@
+const fs = require('fs');
+const path = require('path');
+
+const { Swahili } = require('../bin/api');
+
 function stripTokenPositions(tokens) {
   let stripped = tokens.map((tok) => {
     delete tok.posStart;
@@ -13,7 +18,34 @@ function stripErrorPosition(error) {
   return error;
 }
 
+/**
+ * Runs a program and returns the value of its last statement or its first error
+ * @param {String} code the program to run
+ * @returns {{ value: *, error: Object }}
+ */
+function evaluate(code) {
+  const { value, errors } = new Swahili().run(code);
+  return { value, error: errors[0] || null };
+}
+
+/**
+ * Runs a program from the fixtures folder, under its own file name so it can import its neighbours
+ * @param {String} name path of the program, relative to tests/fixtures
+ * @returns {{ value: *, output: String[], error: Object, errors: Object[], fileName: String }}
+ */
+function evaluateFixture(name) {
+  const fileName = path.relative(
+    process.cwd(),
+    path.join(__dirname, 'fixtures', name)
+  );
+  const code = fs.readFileSync(fileName, 'utf8');
+  const { value, output, errors } = new Swahili().run(code, fileName);
+  return { value, output, error: errors[0] || null, errors, fileName };
+}
+
 module.exports = {
   stripTokenPositions,
   stripErrorPosition,
+  evaluate,
+  evaluateFixture,
 };
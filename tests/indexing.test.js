@@ -0,0 +1,90 @@
+const { evaluate } = require('./helpers');
+
+describe('Indexing', () => {
+  it('Gets elements and characters, counting negative indices from the end', () => {
+    const { value } = evaluate(`
+wacha L = [10, 20, 30]
+wacha jina = "Amina"
+[L[0], L[-1], jina[0], jina[-1], [[1, 2]][0][1]]`);
+
+    expect(value).toEqual([10, 30, 'A', 'a', 2]);
+  });
+
+  it('Gives the index and the length when an index is out of bounds', () => {
+    const { error } = evaluate('wacha L = [1, 2, 3]\nL[3]');
+
+    expect(error).toMatchObject({ kind: 'KosaLaFaharasa', line: 2 });
+    expect(error.message).toMatch('3');
+  });
+
+  it('Slices lists and strings', () => {
+    const { value } = evaluate(`
+wacha L = [1, 2, 3, 4]
+wacha jina = "Amina"
+[L[1:3], L[:-2], L[2:], jina[0:2], jina[2:100]]`);
+
+    expect(value).toEqual([[2, 3], [1, 2], [3, 4], 'Am', 'ina']);
+  });
+
+  it('Replaces elements, including nested ones', () => {
+    const { value } = evaluate(`
+wacha L = [10, [1, 2]]
+L[0] = 15
+L[-1][0] += 5
+L`);
+
+    expect(value).toEqual([15, [6, 2]]);
+  });
+
+  it("Doesn't change the characters of a string", () => {
+    const { error } = evaluate('wacha jina = "Amina"\njina[0] = "B"');
+
+    expect(error).toMatchObject({ kind: 'KosaLaUendeshaji', line: 2 });
+  });
+
+  it('Uses the properties and methods of elements', () => {
+    const { value } = evaluate(`
+wacha L = [[1, 2, 3], { jina: "Asha", rafiki: { jina: "Wendo" } }]
+[L[0].idadi(), L[1].jina, L[1].rafiki.jina, [4, 5].idadi()]`);
+
+    expect(value).toEqual([3, 'Asha', 'Wendo', 2]);
+  });
+
+  it('Calls the methods of instances in a list', () => {
+    const { value } = evaluate(`
+aina Mtu {
+  unda(jina) { hii.jina = jina }
+  salimu() { rudisha "Jambo " + hii.jina }
+}
+wacha watu = [Mtu("Asha")]
+watu[0].salimu()`);
+
+    expect(value).toBe('Jambo Asha');
+  });
+
+  it('Uses the properties of returned values', () => {
+    const { value } = evaluate(`
+shughuli mtu() { rudisha { jina: "Asha", vitu: [1, 2] } }
+[mtu().jina, mtu().vitu[1], mtu().vitu.idadi()]`);
+
+    expect(value).toEqual(['Asha', 2, 2]);
+  });
+
+  it('Sets and removes the properties of elements', () => {
+    const { value } = evaluate(`
+wacha watu = [{ jina: "Asha", umri: 20 }]
+watu[0].jina = "Wendo"
+watu[0].umri += 1
+ondoa watu[0].umri
+watu`);
+
+    expect(value).toEqual([{ jina: 'Wendo' }]);
+  });
+
+  it('Names the element that is not an object', () => {
+    const { error } = evaluate('wacha L = [1]\nL[0].jina');
+
+    expect(error).toMatchObject({ line: 2, column: 1 });
+    expect(error.message).toMatch("'L[0]'");
+  });
+});
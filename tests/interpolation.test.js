@@ -0,0 +1,89 @@
+const { evaluate } = require('./helpers');
+
+describe('Interpolated strings', () => {
+  it('Embed the values of expressions', () => {
+    const { value } = evaluate(`
+wacha jina = "Asha"
+wacha o = { umri: [11, 12] }
+"Habari \${jina}, una miaka \${o.umri[1] + 1}. \${jina.idadi() * 2}"`);
+
+    expect(value).toBe('Habari Asha, una miaka 13. 8');
+  });
+
+  it('Can be nested inside the expressions they embed', () => {
+    const { value } = evaluate(`
+wacha n = 2
+"a \${"b \${"c \${n * 2}"}"} \${{ d: "\${n}" }.d}"`);
+
+    expect(value).toBe('a b c 4 2');
+  });
+
+  it('Keep escaped dollar signs and braces as they are', () => {
+    const { value } = evaluate(String.raw`["\${jina}", "{jina}", "$ {jina}"]`);
+
+    expect(value).toEqual(['${jina}', '{jina}', '$ {jina}']);
+  });
+
+  it('Convert other values the same way Jina does', () => {
+    const { value } = evaluate(`
+shughuli f() {
+  rudisha 1
+}
+aina A {}
+wacha vitu = [2.50, kweli, tupu, [1, 2], f, x => x, andika, A(), A]
+[vitu.fanya(kitu => "\${kitu}"), vitu.fanya(Jina)]`);
+
+    const expected = [
+      '2.5',
+      'kweli',
+      '',
+      '1, 2',
+      'f',
+      '<isiyotambuliwa>',
+      'andika',
+      '[A]',
+      'A',
+    ];
+    expect(value).toEqual([expected, expected]);
+  });
+
+  it('Report errors at the expression that raised them', () => {
+    expect(evaluate('wacha s = "a\\n${1 / 0}"').error).toMatchObject({
+      kind: 'KosaLaKugawa',
+      line: 1,
+      column: 21,
+    });
+    expect(evaluate('"a\n  ${y}"').error).toMatchObject({
+      kind: 'KosaLaJina',
+      message: "'y' haijafafanuliwa",
+      line: 2,
+      column: 5,
+    });
+  });
+
+  it('Can be caught when an expression fails', () => {
+    const { value } = evaluate(`
+wacha s = tupu
+jaribu {
+  s = "\${[1][3]}"
+} iwapo (e: KosaLaFaharasa) {
+  s = "\${e.kundi}: \${e.mstari}"
+}
+s`);
+
+    expect(value).toBe('KosaLaFaharasa: 4');
+  });
+
+  it('Report syntax errors in the expressions', () => {
+    expect(evaluate('"${}"').error).toMatchObject({
+      name: 'Sintaksia Batili',
+      line: 1,
+      column: 4,
+    });
+    expect(evaluate('"${1 2}"').error).toMatchObject({
+      name: 'Sintaksia Batili',
+      message: "Ilitarajiwa '}'",
+      column: 6,
+    });
+  });
+});
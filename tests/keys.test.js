@@ -0,0 +1,110 @@
+const { evaluate } = require('./helpers');
+
+describe('Accessing properties by name', () => {
+  it('Gets properties with string and number keys', () => {
+    const { value } = evaluate(`
+wacha mtu = { jina: "Asha", "jina kamili": "Asha Ali", [1]: "moja" }
+wacha ufunguo = "jina"
+[mtu[ufunguo], mtu["jina kamili"], mtu[1], mtu["1"]]`);
+
+    expect(value).toEqual(['Asha', 'Asha Ali', 'moja', 'moja']);
+  });
+
+  it('Reports missing properties with a suggestion', () => {
+    const { error } = evaluate('wacha mtu = { jina: "Asha" }\nmtu["jna"]');
+
+    expect(error).toMatchObject({ kind: 'KosaLaUendeshaji', line: 2 });
+    expect(error.message).toMatch("'jna'");
+    expect(error.message).toMatch("'jina'");
+  });
+
+  it('Rejects keys that are not strings or numbers', () => {
+    const { error } = evaluate('wacha mtu = { jina: "Asha" }\nmtu[kweli]');
+
+    expect(error.message).toMatch("'Hali'");
+  });
+
+  it('Sets new and existing properties', () => {
+    const { value } = evaluate(`
+wacha mtu = { jina: "Asha" }
+mtu["jina"] = "Wendo"
+mtu["umri"] = 21
+mtu["umri"] += 1
+mtu`);
+
+    expect(value).toEqual({ jina: 'Wendo', umri: 22 });
+  });
+
+  it('Sets properties of nested objects', () => {
+    const { value } = evaluate(`
+wacha o = { a: { b: 1 }, L: [{ k: 1 }] }
+o["a"]["b"] = 5
+o["a"]["c"] = { d: 1 }
+o["a"]["c"]["d"] = 2
+o["L"][0]["k"] = 3
+o`);
+
+    expect(value).toEqual({ a: { b: 5, c: { d: 2 } }, L: [{ k: 3 }] });
+  });
+
+  it('Sets properties of objects held in variables and parameters', () => {
+    const { value } = evaluate(`
+wacha o = { a: { b: 1 } }
+wacha x = o["a"]
+x["b"] = 2
+shughuli weka(kitu) {
+  kitu["b"] = 3
+  rudisha kitu
+}
+[o, x, weka(x)]`);
+
+    expect(value).toEqual([{ a: { b: 1 } }, { b: 2 }, { b: 3 }]);
+  });
+
+  it('Sets and removes properties of the object in its methods', () => {
+    const { value } = evaluate(`
+aina Hifadhi {
+  unda() { hii.vitu = {} }
+  weka(k, v) { hii.vitu[k] = v }
+  toa(k) { ondoa hii.vitu[k] }
+}
+wacha h = Hifadhi()
+h.weka("a", 1)
+h.weka("b", 2)
+h.toa("a")
+h.vitu`);
+
+    expect(value).toEqual({ b: 2 });
+  });
+
+  it('Removes properties with ondoa', () => {
+    const { value } = evaluate(`
+wacha o = { a: { b: 1, c: 2 }, d: 3 }
+ondoa o.d
+ondoa o["a"]["b"]
+ondoa o["hakuna"]
+o`);
+
+    expect(value).toEqual({ a: { c: 2 } });
+  });
+
+  it('Only removes properties', () => {
+    const { error } = evaluate('wacha x = 1\nondoa x');
+
+    expect(error).toMatchObject({ kind: 'Kosa', line: 2 });
+  });
+
+  it('Lists the names and values of properties', () => {
+    const { value } = evaluate(`
+wacha mtu = { jina: "Asha", umri: 21, rafiki: { jina: "Wendo" } }
+wacha bila = {}
+[mtu.funguo(), mtu.thamani(), bila.funguo(), mtu.rafiki.funguo()]`);
+
+    expect(value).toEqual([
+      ['jina', 'umri', 'rafiki'],
+      ['Asha', 21, { jina: 'Wendo' }],
+      [],
+      ['jina'],
+    ]);
+  });
+});
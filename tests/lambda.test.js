@@ -0,0 +1,85 @@
+const { evaluate } = require('./helpers');
+
+describe('Lambdas', () => {
+  it('Returns the value of an expression body', () => {
+    const { value } = evaluate(`
+wacha mara2 = (x) => x * 2
+wacha moja = x => x + 1
+wacha sifuri = () => 0
+wacha kitu = () => ({ jina: "Asha" })
+[mara2(4), moja(1), sifuri(), kitu().jina, [1, 2].fanya((x) => x * 10)]`);
+
+    expect(value).toEqual([8, 2, 0, 'Asha', [10, 20]]);
+  });
+
+  it('Takes defaults and rest parameters', () => {
+    const { value } = evaluate(`
+wacha zote = (a, b = 2, ...c) => [a, b, c]
+[zote(1), zote(1, 3, 4, 5)]`);
+
+    expect(value).toEqual([
+      [1, 2, []],
+      [1, 3, [4, 5]],
+    ]);
+  });
+
+  it('Runs block bodies', () => {
+    const { value } = evaluate(`
+wacha f = (x, i) => {
+  wacha jumla = x + i
+  rudisha jumla * 2
+}
+f(1, 2)`);
+
+    expect(value).toBe(6);
+  });
+
+  it('Can be the values of object properties', () => {
+    const { value } = evaluate(`
+wacha mtu = { jina: "Asha", salimu: (salamu) => salamu + ", Asha" }
+mtu.salimu("Habari")`);
+
+    expect(value).toBe('Habari, Asha');
+  });
+
+  it('Uses the variables of the scope they were written in', () => {
+    const { value } = evaluate(`
+shughuli mwongezaji(n) {
+  rudisha (x) => x + n
+}
+wacha ongeza5 = mwongezaji(5)
+wacha ongeza1 = mwongezaji(1)
+[ongeza5(1), ongeza1(1)]`);
+
+    expect(value).toEqual([6, 2]);
+  });
+
+  it("Doesn't share their variables with the caller", () => {
+    const { error } = evaluate(`
+wacha f = () => {
+  wacha ndani = 1
+  rudisha ndani
+}
+f()
+ndani`);
+
+    expect(error).toMatchObject({ kind: 'KosaLaJina', line: 7 });
+  });
+
+  it('Reports errors in the body and missing arguments', () => {
+    expect(evaluate('wacha f = (x) => y\nf(1)').error).toMatchObject({
+      kind: 'KosaLaJina',
+      line: 1,
+      column: 18,
+    });
+    expect(evaluate('wacha f = (x) => x * 2\nf()').error.message).toBe(
+      "Hoja ya kigezo 'x' cha 'f' haipo"
+    );
+  });
+
+  it('Requires a body', () => {
+    const { error } = evaluate('wacha f = (x) =>');
+
+    expect(error).toMatchObject({ kind: 'Kosa', line: 1, column: 17 });
+  });
+});
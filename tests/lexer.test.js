@@ -1,7 +1,10 @@
 const Lexer = require('../bin/lexer');
 const Token = require('../bin/lexer/token');
 const TT = require('../bin/lexer/tokenTypes');
-const { IllegalCharError } = require('../bin/interpreter/error');
+const {
+  IllegalCharError,
+  ExpectedCharError,
+} = require('../bin/interpreter/error');
 
 const { stripTokenPositions, stripErrorPosition } = require('./helpers');
 
@@ -77,6 +80,79 @@ describe('Lexer', () => {
     expect(error).toBeNull();
   });
 
+  it('Generates compound assignment tokens', () => {
+    const lex = new Lexer(fileName, 'a += 1 - 2 -= b *= c /= d %= e ^= f / g');
+    let [tokens, error] = lex.makeTokens();
+    let result = stripTokenPositions(tokens);
+
+    let expectedTokens = [
+      new Token(TT.IDENTIFIER, 'a'),
+      new Token(TT.PLUS_EQ),
+      new Token(TT.INT, 1),
+      new Token(TT.MINUS),
+      new Token(TT.INT, 2),
+      new Token(TT.MINUS_EQ),
+      new Token(TT.IDENTIFIER, 'b'),
+      new Token(TT.MUL_EQ),
+      new Token(TT.IDENTIFIER, 'c'),
+      new Token(TT.DIV_EQ),
+      new Token(TT.IDENTIFIER, 'd'),
+      new Token(TT.MOD_EQ),
+      new Token(TT.IDENTIFIER, 'e'),
+      new Token(TT.POW_EQ),
+      new Token(TT.IDENTIFIER, 'f'),
+      new Token(TT.DIV),
+      new Token(TT.IDENTIFIER, 'g'),
+      new Token(TT.EOF),
+    ];
+
+    expect(result).toStrictEqual(expectedTokens);
+    expect(error).toBeNull();
+  });
+
+  it('Tells dots and ellipses apart', () => {
+    const lex = new Lexer(fileName, '[a.b, ...baki]');
+    let [tokens, error] = lex.makeTokens();
+    let result = stripTokenPositions(tokens);
+
+    let expectedTokens = [
+      new Token(TT.LSQUARE),
+      new Token(TT.IDENTIFIER, 'a'),
+      new Token(TT.DOT),
+      new Token(TT.IDENTIFIER, 'b'),
+      new Token(TT.COMMA),
+      new Token(TT.ELLIPSIS),
+      new Token(TT.IDENTIFIER, 'baki'),
+      new Token(TT.RSQUARE),
+      new Token(TT.EOF),
+    ];
+
+    expect(result).toStrictEqual(expectedTokens);
+    expect(error).toBeNull();
+  });
+
+  it('Generates arrow tokens for lambdas', () => {
+    const lex = new Lexer(fileName, '(x) => x == 1 >= 2');
+    let [tokens, error] = lex.makeTokens();
+    let result = stripTokenPositions(tokens);
+
+    let expectedTokens = [
+      new Token(TT.LPAREN),
+      new Token(TT.IDENTIFIER, 'x'),
+      new Token(TT.RPAREN),
+      new Token(TT.ARROW),
+      new Token(TT.IDENTIFIER, 'x'),
+      new Token(TT.EE),
+      new Token(TT.INT, 1),
+      new Token(TT.GTE),
+      new Token(TT.INT, 2),
+      new Token(TT.EOF),
+    ];
+
+    expect(result).toStrictEqual(expectedTokens);
+    expect(error).toBeNull();
+  });
+
   it('Allows semi-colons as newline char in <stdin>', () => {
     const lex = new Lexer('<stdin>', 'wacha jibu = 1; jibu = jibu + 1');
     let [tokens, error] = lex.makeTokens();
@@ -113,6 +189,56 @@ describe('Lexer', () => {
     expect(error).toStrictEqual(expectedError);
   });
 
+  it('Converts escape sequences in strings', () => {
+    const lex = new Lexer(fileName, '"a\\tb\\\\c\\"\\u{41}\\n"');
+    let [tokens, error] = lex.makeTokens();
+    let result = stripTokenPositions(tokens);
+
+    let expectedTokens = [
+      new Token(TT.STRING, 'a\tb\\c"A\n'),
+      new Token(TT.EOF),
+    ];
+
+    expect(result).toStrictEqual(expectedTokens);
+    expect(error).toBeNull();
+  });
+
+  it('Returns an expected character error for unknown escapes', () => {
+    const lex = new Lexer(fileName, '"a\\qb"');
+    let [result, error] = lex.makeTokens();
+
+    expect(result).toStrictEqual([]);
+    expect(error).toBeInstanceOf(ExpectedCharError);
+  });
+
+  it('Splits interpolated strings into string and expression parts', () => {
+    const lex = new Lexer(fileName, '"Habari ${jina}!"');
+    let [tokens, error] = lex.makeTokens();
+    let [template, eof] = stripTokenPositions(tokens);
+    let parts = template.value.map((part) =>
+      Array.isArray(part)
+        ? stripTokenPositions(part)
+        : stripTokenPositions([part])[0]
+    );
+
+    expect(template.type).toBe(TT.TEMPLATE);
+    expect(parts).toStrictEqual([
+      new Token(TT.STRING, 'Habari '),
+      [new Token(TT.IDENTIFIER, 'jina'), new Token(TT.EOF)],
+      new Token(TT.STRING, '!'),
+    ]);
+    expect(eof).toStrictEqual(new Token(TT.EOF));
+    expect(error).toBeNull();
+  });
+
+  it('Returns an expected character error for unclosed interpolations', () => {
+    const lex = new Lexer(fileName, '"Habari ${jina"');
+    let [result, error] = lex.makeTokens();
+
+    expect(result).toStrictEqual([]);
+    expect(error).toBeInstanceOf(ExpectedCharError);
+  });
+
   it('Returns an illegal character error for invalid characters', () => {
     const lex = new Lexer(fileName, 'wacha $jibu = 1');
     let startPos = lex.pos.copy();
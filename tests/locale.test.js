@@ -0,0 +1,81 @@
+const en = require('../bin/locale/en');
+const { t, setLocale, getLocale, locales } = require('../bin/locale');
+
+const { evaluate } = require('./helpers');
+
+describe('Locales', () => {
+  afterEach(() => setLocale('sw'));
+
+  it('Report errors in Swahili by default', () => {
+    expect(getLocale()).toBe('sw');
+    expect(evaluate('1 / 0').error).toMatchObject({
+      name: 'Kosa la Uendeshaji',
+      message: 'Kugawa kwa sifuri',
+    });
+    expect(evaluate('wacha = 1').error).toMatchObject({
+      name: 'Sintaksia Batili',
+      message: "Ilitarajiwa kitambulisho, '[' au '{'",
+    });
+  });
+
+  it('Report errors in English after setLocale', () => {
+    expect(setLocale('en')).toBe(true);
+    expect(getLocale()).toBe('en');
+    expect(evaluate('1 / 0').error).toMatchObject({
+      name: 'Runtime Error',
+      kind: 'KosaLaKugawa',
+      message: 'Division by zero',
+    });
+    expect(evaluate('wacha = 1').error).toMatchObject({
+      name: 'Invalid Syntax',
+      message: "Expected identifier, '[' or '{'",
+    });
+  });
+
+  it('Only switch to the languages they support, like --lugha', () => {
+    expect(locales()).toEqual(['sw', 'en']);
+    expect(setLocale('fr')).toBe(false);
+    expect(getLocale()).toBe('sw');
+  });
+
+  it('Can be chosen with SWAHILI_LANG', () => {
+    const env = process.env.SWAHILI_LANG;
+
+    /**
+     * Loads the locales again, with the variable set
+     * @param {String} value the value of the variable
+     * @returns {String} the locale selected
+     */
+    const loadWith = (value) => {
+      process.env.SWAHILI_LANG = value;
+      jest.resetModules();
+      return require('../bin/locale').getLocale();
+    };
+
+    try {
+      expect(loadWith('en')).toBe('en');
+      expect(loadWith('fr')).toBe('sw');
+    } finally {
+      if (env === undefined) delete process.env.SWAHILI_LANG;
+      else process.env.SWAHILI_LANG = env;
+    }
+  });
+
+  it('Fall back on English and then on the code of the message', () => {
+    en['test.englishOnly'] = 'Only in {language}';
+
+    try {
+      expect(t('test.englishOnly', { language: 'English' })).toBe(
+        'Only in English'
+      );
+      expect(t('test.missing')).toBe('test.missing');
+    } finally {
+      delete en['test.englishOnly'];
+    }
+  });
+
+  it('Leave placeholders without a value as they are', () => {
+    expect(t('runtime.notDefined')).toBe("'{name}' haijafafanuliwa");
+    expect(t('runtime.notDefined', { name: 'x' })).toBe("'x' haijafafanuliwa");
+  });
+});
@@ -0,0 +1,114 @@
+const path = require('path');
+
+const { evaluate, evaluateFixture } = require('./helpers');
+
+/**
+ * Gives the name a fixture is shown with in errors
+ * @param {String} name path of the fixture, relative to tests/fixtures/moduli
+ * @returns {String}
+ */
+const shownAs = (name) =>
+  path.relative(process.cwd(), path.join(__dirname, 'fixtures/moduli', name));
+
+describe('Modules', () => {
+  it('Imports the exports of files, folders and paths without an extension', () => {
+    const { value, error } = evaluateFixture('moduli/programu.swh');
+
+    expect(error).toBeNull();
+    expect(value).toEqual([3, 3.14, 5, 9, ['jumlisha', 'PI_NDOGO']]);
+  });
+
+  it('Only runs a module the first time it is imported', () => {
+    // programu.swh imports hesabu.swh itself and through takwimu.swh
+    const { output } = evaluateFixture('moduli/programu.swh');
+
+    expect(output).toEqual(['hesabu imeletwa']);
+  });
+
+  it("Keeps what a module doesn't export private", () => {
+    const { error } = evaluateFixture('moduli/siri.swh');
+
+    expect(error).toMatchObject({ kind: 'KosaLaUendeshaji', line: 2 });
+    expect(error.message).toMatch("'mara2'");
+  });
+
+  it('Detects circular imports and shows the chain', () => {
+    const { error } = evaluateFixture('moduli/mzunguko_a.swh');
+    const cycle = ['mzunguko_a.swh', 'mzunguko_b.swh', 'mzunguko_a.swh'];
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message: `Uletaji wa mzunguko umegunduliwa (${cycle
+        .map(shownAs)
+        .join(' -> ')})`,
+      file: shownAs('mzunguko_b.swh'),
+      line: 1,
+    });
+  });
+
+  it('Shows where the importing file ran leta in the traceback', () => {
+    const { error } = evaluateFixture('moduli/leta_gawa.swh');
+    const lines = error.traceback.split('\n');
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaKugawa',
+      file: shownAs('gawa.swh'),
+      line: 2,
+    });
+    expect(lines.slice(1)).toEqual([
+      `Faili "${shownAs('leta_gawa.swh')}:2:14", katika <programu>`,
+      `Faili "${shownAs('gawa.swh')}:5:16", katika <moduli ${shownAs(
+        'gawa.swh'
+      )}>`,
+      `Faili "${shownAs('gawa.swh')}:2:15", katika gawa`,
+    ]);
+  });
+
+  it('Reports modules that are missing', () => {
+    const { error } = evaluateFixture('moduli/haipo.swh');
+
+    expect(error).toMatchObject({
+      message: "Moduli './hakuna.swh' haikupatikana",
+      file: shownAs('haipo.swh'),
+      line: 1,
+      column: 16,
+    });
+  });
+
+  it('Reports all the syntax errors of a module', () => {
+    const { errors } = evaluateFixture('moduli/leta_sintaksia.swh');
+
+    expect(errors).toMatchObject([
+      {
+        name: 'Sintaksia Batili',
+        file: shownAs('sintaksia.swh'),
+        line: 1,
+        column: 7,
+      },
+      {
+        name: 'Sintaksia Batili',
+        message: "Ilitarajiwa ')'",
+        file: shownAs('sintaksia.swh'),
+        line: 3,
+      },
+    ]);
+  });
+
+  it("Doesn't export destructured names together", () => {
+    const { error } = evaluate('peleka wacha [a, b] = [1, 2]');
+
+    expect(error).toMatchObject({
+      name: 'Sintaksia Batili',
+      message:
+        "Majina yaliyofunguliwa hayawezi kupelekwa pamoja, peleka kila moja peke yake, kama 'peleka a'",
+      line: 1,
+      column: 14,
+    });
+  });
+
+  it('Only exports from the top level of a module', () => {
+    const { error } = evaluate('shughuli f() {\n  peleka wacha x = 1\n}\nf()');
+
+    expect(error).toMatchObject({ kind: 'KosaLaUendeshaji', line: 2 });
+  });
+});
@@ -0,0 +1,82 @@
+const { evaluate } = require('./helpers');
+
+describe('Object literals', () => {
+  it('Names properties with strings and computed keys', () => {
+    const { value } = evaluate(`
+wacha ufunguo = "kazi"
+wacha mtu = {
+  "jina kamili": "Wendo Ali",
+  [ufunguo]: "mwalimu",
+  ["n" + "a"]: 1,
+  [2]: "mbili"
+}
+[mtu, mtu.kazi, mtu["jina kamili"]]`);
+
+    expect(value).toEqual([
+      { 'jina kamili': 'Wendo Ali', kazi: 'mwalimu', na: 1, 2: 'mbili' },
+      'mwalimu',
+      'Wendo Ali',
+    ]);
+  });
+
+  it('Only takes strings and numbers as computed keys', () => {
+    const { error } = evaluate('wacha o = { [kweli]: 1 }');
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message: "Majina ya sifa lazima yawe Jina au Nambari, si 'Hali'",
+      line: 1,
+      column: 14,
+    });
+  });
+
+  it('Makes properties from variable names', () => {
+    const { value } = evaluate(`
+wacha jina = "Wendo"
+wacha umri = 21
+{ jina, umri }`);
+
+    expect(value).toEqual({ jina: 'Wendo', umri: 21 });
+  });
+
+  it('Reports shorthand properties for undeclared variables', () => {
+    const { error } = evaluate('wacha o = { hakuna }');
+
+    expect(error).toMatchObject({ kind: 'KosaLaJina', column: 13 });
+  });
+
+  it('Spreads objects, letting later properties replace copied ones', () => {
+    const { value } = evaluate(`
+wacha mtu = { jina: "Wendo", umri: 21 }
+[{ ...mtu, umri: 60 }, { umri: 60, ...mtu }, { a: 1, ...{ b: 2 } }]`);
+
+    expect(value).toEqual([
+      { jina: 'Wendo', umri: 60 },
+      { umri: 21, jina: 'Wendo' },
+      { a: 1, b: 2 },
+    ]);
+  });
+
+  it('Copies the properties it spreads', () => {
+    const { value } = evaluate(`
+wacha mtu = { jina: "A", rafiki: { jina: "B" } }
+wacha nakala = { ...mtu }
+nakala.rafiki.jina = "C"
+nakala.jina = "D"
+[mtu, nakala]`);
+
+    expect(value).toEqual([
+      { jina: 'A', rafiki: { jina: 'B' } },
+      { jina: 'D', rafiki: { jina: 'C' } },
+    ]);
+  });
+
+  it('Only spreads objects', () => {
+    const { error } = evaluate('wacha o = { ...[1, 2] }');
+
+    expect(error).toMatchObject({
+      message: "Kamusi pekee ndizo zinaweza kusambazwa, si 'Orodha'",
+      column: 13,
+    });
+  });
+});
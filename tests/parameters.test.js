@@ -0,0 +1,94 @@
+const { evaluate } = require('./helpers');
+
+describe('Function parameters', () => {
+  it('Uses default values for parameters without an argument', () => {
+    const code = `
+shughuli salamu(jina = "Rafiki", neno = "Habari") {
+  rudisha Jina(neno) + ", " + jina
+}
+`;
+
+    expect(evaluate(code + 'salamu()').value).toBe('Habari, Rafiki');
+    expect(evaluate(code + 'salamu("Asha")').value).toBe('Habari, Asha');
+    expect(evaluate(code + 'salamu("Asha", "Jambo")').value).toBe(
+      'Jambo, Asha'
+    );
+  });
+
+  it('Lets defaults use the parameters before them', () => {
+    const { value } = evaluate(`
+shughuli eneo(upana, urefu = upana) { rudisha upana * urefu }
+[eneo(3), eneo(3, 4)]`);
+
+    expect(value).toEqual([9, 12]);
+  });
+
+  it('Collects the remaining arguments in a rest parameter', () => {
+    const { value } = evaluate(`
+shughuli jumla(kwanza, ...vingine) { rudisha [kwanza, vingine] }
+[jumla(1), jumla(1, 2, 3)]`);
+
+    expect(value).toEqual([
+      [1, []],
+      [1, [2, 3]],
+    ]);
+  });
+
+  it('Binds named arguments by name', () => {
+    const { value } = evaluate(`
+shughuli gawa(a, b = 2) { rudisha a / b }
+[gawa(b: 4, a: 8), gawa(6), gawa(9, b: 3)]`);
+
+    expect(value).toEqual([2, 3, 3]);
+  });
+
+  it('Names the missing parameter', () => {
+    const { error } = evaluate('shughuli f(a, b) { rudisha a }\nf(1)');
+
+    expect(error).toMatchObject({ kind: 'KosaLaUendeshaji', line: 2 });
+    expect(error.message).toBe("Hoja ya kigezo 'b' cha 'f' haipo");
+  });
+
+  it('Rejects extra arguments', () => {
+    const { error } = evaluate('shughuli f(a) { rudisha a }\nf(1, 2)');
+
+    expect(error).toMatchObject({ kind: 'KosaLaUendeshaji', line: 2 });
+    expect(error.message).toBe("'f' inapokea hoja 1 tu, lakini imepewa 2");
+  });
+
+  it('Rejects unknown and repeated named arguments', () => {
+    const code = 'shughuli f(jina) { rudisha jina }\n';
+
+    expect(evaluate(code + 'f(jin: 1)').error.message).toMatch(
+      "'f' haina kigezo kinachoitwa 'jin'"
+    );
+    expect(evaluate(code + 'f(1, jina: 2)').error.message).toBe(
+      "Kigezo 'jina' kimepewa thamani zaidi ya moja"
+    );
+  });
+
+  it('Rejects named arguments to built in functions and methods', () => {
+    expect(evaluate('andika(ujumbe: "Jambo")').error).toMatchObject({
+      kind: 'KosaLaUendeshaji',
+      message:
+        "Shughuli asili 'andika' haipokei hoja zenye majina, kama 'ujumbe'",
+    });
+    expect(
+      evaluate('wacha L = [1]\nL.fanya(shug: (x) => x)').error
+    ).toMatchObject({
+      message: "Shughuli asili 'fanya' haipokei hoja zenye majina, kama 'shug'",
+      line: 2,
+    });
+  });
+
+  it('Only gives list callbacks the index when they have a parameter for it', () => {
+    const { value } = evaluate(`
+wacha L = [5, 6]
+[L.fanya((x) => x * 2), L.fanya((x, i) => i)]`);
+
+    expect(value).toEqual([
+      [10, 12],
+      [0, 1],
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+const Lexer = require('../bin/lexer');
+const Parser = require('../bin/parser');
+
+/**
+ * Parses a program and describes each of its syntax errors
+ * @param {String} code the program to parse
+ * @returns {{ error: Object, errors: Array[] }} the lines, columns and messages of the errors
+ */
+function parse(code) {
+  const [tokens] = new Lexer('test', code).makeTokens();
+  const { error, errors } = new Parser(tokens).parse();
+  return {
+    error,
+    errors: errors.map((err) => [
+      err.posStart.lineNumber + 1,
+      err.posStart.colNumber + 1,
+      err.details,
+    ]),
+  };
+}
+
+describe('Parser', () => {
+  it('Collects every syntax error in the order they appear', () => {
+    const { error, errors } = parse(`wacha = 1
+shughuli f() {
+  wacha y 2
+  rudisha y
+}
+)
+wacha z = 3
+kama (x { }`);
+
+    expect(errors.map(([line, column]) => [line, column])).toEqual([
+      [1, 7],
+      [3, 11],
+      [6, 1],
+      [8, 9],
+    ]);
+    expect(errors[2][2]).toBe("')' haikutarajiwa");
+    expect(error.posStart.lineNumber).toBe(0);
+  });
+
+  it('Carries on after errors in nested blocks', () => {
+    const { errors } = parse(`shughuli f() {
+  shughuli g() {
+    wacha = 1
+  }
+`);
+
+    expect(errors.map(([line]) => line)).toEqual([3, 5]);
+    expect(errors[1][2]).toBe("Ilitarajiwa '}'");
+  });
+
+  it('Stops at the end of the file after a stray brace', () => {
+    const { errors } = parse('wacha x = 1\n}\n');
+
+    expect(errors).toEqual([[2, 1, "'}' haikutarajiwa"]]);
+  });
+
+  it('Returns no errors for a valid program', () => {
+    const { error, errors } = parse('wacha x = 1\nandika(x)');
+
+    expect(error).toBeNull();
+    expect(errors).toEqual([]);
+  });
+});
@@ -0,0 +1,107 @@
+const { Swahili } = require('../bin/api');
+const Interpreter = require('../bin/interpreter');
+const SWBuiltInFunction = require('../bin/interpreter/types/built-in-function');
+const { evaluate } = require('./helpers');
+
+const countdown = (depth) => `
+shughuli hesabu(n) {
+  kama (n == 0) { rudisha 0 }
+  rudisha 1 + hesabu(n - 1)
+}
+hesabu(${depth})`;
+
+describe('Recursion', () => {
+  it('Runs recursive functions that return in time', () => {
+    expect(evaluate(countdown(300)).value).toBe(300);
+    expect(evaluate(countdown(600)).value).toBe(600);
+  });
+
+  it('Stops deep recursion with a call depth error', () => {
+    for (let depth of [5000, Interpreter.CALL_DEPTH + 1]) {
+      const { error } = evaluate(countdown(depth));
+
+      expect(error).toMatchObject({
+        kind: 'KosaLaUendeshaji',
+        message: 'Kina cha mwito kimezidi',
+        line: 4,
+      });
+    }
+  });
+
+  it('Collapses the repeated calls in the traceback', () => {
+    const { traceback } = evaluate(countdown(5000)).error;
+    const lines = traceback.split('\n');
+
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toMatch('katika <programu>');
+    expect(lines[2]).toMatch('katika hesabu');
+    expect(lines[3]).toMatch(/umejirudia mara \d+ zaidi/);
+  });
+
+  it('Stops at the default call depth with a catchable error', () => {
+    const callDepth = Interpreter.CALL_DEPTH;
+    Interpreter.CALL_DEPTH = 50;
+
+    try {
+      const { error } = evaluate(countdown(60));
+      const { traceback } = error;
+
+      expect(error).toMatchObject({
+        kind: 'KosaLaUendeshaji',
+        message: 'Kina cha mwito kimezidi',
+      });
+      expect(traceback).toMatch('umejirudia mara 49 zaidi');
+    } finally {
+      Interpreter.CALL_DEPTH = callDepth;
+    }
+  });
+
+  it('Uses the call depth limit it is given instead of the default', () => {
+    const sw = new Swahili({ limits: { callDepth: 100 } });
+
+    expect(sw.run(countdown(200)).errors[0].message).toBe(
+      'Programu imezidi kikomo cha kina cha mwito 100'
+    );
+  });
+
+  it("Doesn't report other errors as a call depth error", () => {
+    const sw = new Swahili();
+    sw.symbolTable.setConstant(
+      'kuvunja',
+      new SWBuiltInFunction('kuvunja', {
+        method: () => {
+          throw new RangeError('Invalid array length');
+        },
+        args: [],
+      })
+    );
+
+    expect(() => sw.run('kuvunja()')).toThrow('Invalid array length');
+  });
+
+  it('Stops mutual recursion', () => {
+    const { error } = evaluate(`
+shughuli a(n) { rudisha 1 + b(n) }
+shughuli b(n) { rudisha 1 + a(n) }
+a(0)`);
+
+    expect(error.message).toBe('Kina cha mwito kimezidi');
+  });
+
+  it('Lets programs catch the error', () => {
+    const { value } = evaluate(`
+shughuli milele() { rudisha 1 + milele() }
+wacha ujumbe = ""
+jaribu { milele() } iwapo (e) { ujumbe = e.ujumbe }
+ujumbe`);
+
+    expect(value).toBe('Kina cha mwito kimezidi');
+  });
+
+  it('Keeps running after the error', () => {
+    const sw = new Swahili();
+    sw.run('shughuli milele() { rudisha 1 + milele() }\nmilele()');
+
+    expect(sw.run(countdown(10)).value).toBe(10);
+  });
+});
@@ -0,0 +1,170 @@
+const colors = require('colors');
+
+const Position = require('../bin/lexer/position');
+const stringWithArrows = require('../bin/utils/stringWithArrows');
+
+const text = [
+  'wacha a = 1',
+  'wacha b = 2',
+  'wacha c = x',
+  'wacha d = 4',
+  'wacha e = 5',
+  'wacha f = 6',
+  '',
+].join('\n');
+
+/**
+ * Creates a position on a line of the text
+ * @param {Number} line the line, counting from 0
+ * @param {Number} col the column, counting from 0
+ * @returns {Position}
+ */
+const at = (line, col) => new Position(0, line, col);
+
+/**
+ * Points at part of the text without colours
+ * @param {Position} posStart where the span starts
+ * @param {Position} posEnd where the span ends
+ * @param {Object} options any other options for stringWithArrows
+ * @returns {String[]} the lines printed
+ */
+const arrows = (posStart, posEnd, options = {}) =>
+  stringWithArrows(text, posStart, posEnd, {
+    color: false,
+    ...options,
+  }).split('\n');
+
+describe('stringWithArrows', () => {
+  it('Shows lines of context around the error', () => {
+    expect(arrows(at(2, 10), at(2, 11))).toEqual([
+      '  1 | wacha a = 1',
+      '  2 | wacha b = 2',
+      '> 3 | wacha c = x',
+      '    |           ^',
+      '  4 | wacha d = 4',
+      '  5 | wacha e = 5',
+    ]);
+  });
+
+  it('Stops the context at the start and end of the text', () => {
+    expect(arrows(at(0, 0), at(0, 5), { contextLines: 1 })).toEqual([
+      '> 1 | wacha a = 1',
+      '    | ^^^^^',
+      '  2 | wacha b = 2',
+    ]);
+    expect(arrows(at(5, 6), at(5, 11), { contextLines: 1 })).toEqual([
+      '  5 | wacha e = 5',
+      '> 6 | wacha f = 6',
+      '    |       ^^^^^',
+    ]);
+  });
+
+  it('Ends spans at the start of a line on the line before it', () => {
+    expect(arrows(at(5, 6), at(6, 0), { contextLines: 0 })).toEqual([
+      '> 6 | wacha f = 6',
+      '    |       ^^^^^',
+    ]);
+  });
+
+  it('Marks every line of spans over several lines', () => {
+    expect(arrows(at(1, 6), at(3, 7), { contextLines: 0 })).toEqual([
+      '> 2 | wacha b = 2',
+      '    |       ^^^^^',
+      '> 3 | wacha c = x',
+      '    | ^^^^^^^^^^^',
+      '> 4 | wacha d = 4',
+      '    | ^^^^^^^',
+    ]);
+  });
+
+  it('Makes the gutter as wide as the longest line number', () => {
+    const lines = stringWithArrows('a\n'.repeat(12), at(9, 0), at(9, 1), {
+      contextLines: 1,
+      color: false,
+    });
+
+    expect(lines.split('\n')).toEqual([
+      '   9 | a',
+      '> 10 | a',
+      '     | ^',
+      '  11 | a',
+    ]);
+  });
+
+  it('Only colours the output when asked to', () => {
+    const enabled = colors.enabled;
+    colors.enable();
+
+    try {
+      const options = { contextLines: 0 };
+      const coloured = stringWithArrows(text, at(2, 10), at(2, 11), options);
+
+      expect(coloured).toContain(colors.red('x'));
+      expect(coloured).toContain(colors.grey(' 3 | '));
+      expect(
+        stringWithArrows(text, at(2, 10), at(2, 11), {
+          ...options,
+          color: false,
+        })
+      ).toBe('> 3 | wacha c = x\n    |           ^');
+    } finally {
+      if (!enabled) colors.disable();
+    }
+  });
+
+  it('Shows nothing without text or a position', () => {
+    expect(stringWithArrows('', at(0, 0), at(0, 1))).toBe('');
+    expect(stringWithArrows(text, null, null)).toBe('');
+  });
+});
+
+describe('Context lines', () => {
+  it('Reads whole numbers and falls back on anything else', () => {
+    const { parseContextLines } = stringWithArrows;
+
+    expect(parseContextLines('0')).toBe(0);
+    expect(parseContextLines('5', 2)).toBe(5);
+    expect(parseContextLines('-1', 2)).toBe(2);
+    expect(parseContextLines('mbili', 2)).toBe(2);
+    expect(parseContextLines(undefined, 2)).toBe(2);
+    expect(parseContextLines('1.5')).toBeNull();
+  });
+
+  it('Follow the default that --mistari sets', () => {
+    const { defaults } = stringWithArrows;
+    const contextLines = defaults.contextLines;
+    defaults.contextLines = 0;
+
+    try {
+      expect(arrows(at(2, 10), at(2, 11))).toEqual([
+        '> 3 | wacha c = x',
+        '    |           ^',
+      ]);
+    } finally {
+      defaults.contextLines = contextLines;
+    }
+  });
+
+  it('Can be set with SWAHILI_CONTEXT_LINES', () => {
+    const env = process.env.SWAHILI_CONTEXT_LINES;
+
+    /**
+     * Loads stringWithArrows again, with the variable set
+     * @param {String} value the value of the variable
+     * @returns {Number} the default number of context lines
+     */
+    const loadWith = (value) => {
+      process.env.SWAHILI_CONTEXT_LINES = value;
+      jest.resetModules();
+      return require('../bin/utils/stringWithArrows').defaults.contextLines;
+    };
+
+    try {
+      expect(loadWith('4')).toBe(4);
+      expect(loadWith('nne')).toBe(2);
+    } finally {
+      if (env === undefined) delete process.env.SWAHILI_CONTEXT_LINES;
+      else process.env.SWAHILI_CONTEXT_LINES = env;
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { evaluate } = require('./helpers');
+
+describe('chagua', () => {
+  it('Runs the first case that matches and the kawaida case otherwise', () => {
+    const { value } = evaluate(`
+shughuli siku(s) {
+  chagua (s) {
+    kesi 6, 7: rudisha "Wikendi"
+    kesi 5:
+      wacha jina = "Ijumaa"
+      rudisha jina
+    kawaida: rudisha "Kazi"
+  }
+}
+[siku(6), siku(7), siku(5), siku(1)]`);
+
+    expect(value).toEqual(['Wikendi', 'Wikendi', 'Ijumaa', 'Kazi']);
+  });
+
+  it('Matches the shape of lists', () => {
+    const { value } = evaluate(`
+shughuli jumla(orodha) {
+  chagua orodha {
+    kesi []: rudisha 0
+    kesi [kwanza, ...baki]: rudisha kwanza + jumla(baki)
+  }
+}
+jumla([1, 2, 3])`);
+
+    expect(value).toBe(6);
+  });
+
+  it('Matches objects, types and constants and binds their parts', () => {
+    const { value } = evaluate(`
+shughuli eleza(x) {
+  chagua x {
+    kesi { jina: "Asha", umri }: rudisha ["Asha", umri]
+    kesi { jina }: rudisha jina
+    kesi Nambari n: rudisha n * 2
+    kesi Jina s: rudisha s + "!"
+    kesi [a, b]: rudisha b
+    kesi tupu: rudisha "tupu"
+    kesi y: rudisha "kingine"
+  }
+}
+[
+  eleza({ jina: "Asha", umri: 3 }),
+  eleza({ jina: "Juma" }),
+  eleza(4),
+  eleza("jambo"),
+  eleza([1, 2]),
+  eleza(tupu),
+  eleza([1])
+]`);
+
+    expect(value).toEqual([
+      ['Asha', 3],
+      'Juma',
+      8,
+      'jambo!',
+      2,
+      'tupu',
+      'kingine',
+    ]);
+  });
+
+  it('Only binds names inside the case', () => {
+    const { error } = evaluate(`
+wacha x = 5
+chagua (x) { kesi y: y = 1 }
+y`);
+
+    expect(error).toMatchObject({ kind: 'KosaLaJina', line: 4 });
+  });
+
+  it('Raises a KosaLaChagua error when no case matches', () => {
+    const { error } = evaluate(`
+wacha x = 3
+chagua (x) {
+  kesi 1: andika(1)
+  kesi 2: andika(2)
+}`);
+
+    expect(error).toMatchObject({
+      kind: 'KosaLaChagua',
+      message: 'Hakuna kesi inayolingana na thamani 3',
+      line: 3,
+    });
+  });
+
+  it('Lets programs catch the error by its kind', () => {
+    const { value } = evaluate(`
+wacha kundi = ""
+jaribu {
+  chagua ([1, 2, 3]) { kesi [a]: andika(a) }
+} iwapo (e: KosaLaChagua) {
+  kundi = e.kundi
+}
+kundi`);
+
+    expect(value).toBe('KosaLaChagua');
+  });
+});
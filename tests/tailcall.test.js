@@ -0,0 +1,65 @@
+const { evaluate } = require('./helpers');
+
+const sum = (depth) => `
+shughuli hesabu(n, jumla = 0) {
+  kama (n == 0) { rudisha jumla }
+  rudisha hesabu(n - 1, jumla + n)
+}
+hesabu(${depth})`;
+
+describe('Tail calls', () => {
+  it('Runs self-recursive calls in tail position at any depth', () => {
+    expect(evaluate(sum(10000)).value).toBe(50005000);
+  });
+
+  it('Passes named arguments to the call in its place', () => {
+    const { value } = evaluate(`
+shughuli hesabu(n, jumla = 0) {
+  kama (n == 0) { rudisha jumla }
+  rudisha hesabu(jumla: jumla + 1, n: n - 1)
+}
+hesabu(10000)`);
+
+    expect(value).toBe(10000);
+  });
+
+  it('Shows the function once in the traceback', () => {
+    const { error } = evaluate(`
+shughuli hesabu(n) {
+  kama (n == 0) { rudisha 1 / 0 }
+  rudisha hesabu(n - 1)
+}
+hesabu(10000)`);
+
+    expect(error).toMatchObject({ kind: 'KosaLaKugawa', line: 3 });
+    expect(error.traceback.split('\n')).toHaveLength(3);
+    expect(error.traceback).toMatch('katika hesabu');
+  });
+
+  it('Returns from inside a jaribu block without replacing the call', () => {
+    const code = (depth) => `
+shughuli hesabu(n) {
+  kama (n == 0) { rudisha 0 }
+  jaribu { rudisha hesabu(n - 1) } iwapo (e) { rudisha e.ujumbe }
+}
+hesabu(${depth})`;
+
+    expect(evaluate(code(3)).value).toBe(0);
+    expect(evaluate(code(10000)).value).toBe('Kina cha mwito kimezidi');
+  });
+
+  it('Leaves calls to other functions nested', () => {
+    const { error } = evaluate(`
+shughuli shufwa(n) {
+  kama (n == 0) { rudisha kweli }
+  rudisha witiri(n - 1)
+}
+shughuli witiri(n) {
+  kama (n == 0) { rudisha uongo }
+  rudisha shufwa(n - 1)
+}
+shufwa(10000)`);
+
+    expect(error.message).toBe('Kina cha mwito kimezidi');
+  });
+});
@@ -0,0 +1,53 @@
+const { evaluate } = require('./helpers');
+
+describe('Unary operators', () => {
+  it('Negates numbers', () => {
+    expect(evaluate('-5').value).toBe(-5);
+    expect(evaluate('-(-2.5)').value).toBe(2.5);
+    expect(evaluate('wacha x = 3\n-x').value).toBe(-3);
+    expect(evaluate('--4').value).toBe(4);
+  });
+
+  it('Leaves numbers unchanged with a plus sign', () => {
+    expect(evaluate('+5').value).toBe(5);
+    expect(evaluate('+(-7)').value).toBe(-7);
+  });
+
+  it('Does not change the variable it is applied to', () => {
+    expect(evaluate('wacha x = 3\nwacha y = -x\nx').value).toBe(3);
+  });
+
+  it('Negates the truthiness of every type', () => {
+    expect(evaluate('!0').value).toBe(true);
+    expect(evaluate('!2').value).toBe(false);
+    expect(evaluate('!""').value).toBe(true);
+    expect(evaluate('!"a"').value).toBe(false);
+    expect(evaluate('!kweli').value).toBe(false);
+    expect(evaluate('!uwongo').value).toBe(true);
+    expect(evaluate('![]').value).toBe(true);
+    expect(evaluate('![1]').value).toBe(false);
+    expect(evaluate('!{ a: 1 }').value).toBe(false);
+    expect(evaluate('!tupu').value).toBe(true);
+    expect(evaluate('!!"a"').value).toBe(true);
+  });
+
+  it('Rejects numeric operators on other types', () => {
+    const operands = ['"a"', 'kweli', '[1]', '{ a: 1 }', 'tupu', 'andika'];
+
+    for (let operand of operands) {
+      for (let operator of ['-', '+']) {
+        const { error } = evaluate(`${operator}${operand}`);
+
+        expect(error).toMatchObject({ kind: 'KosaLaUendeshaji', column: 1 });
+        expect(error.message).toMatch(`'${operator}'`);
+      }
+    }
+  });
+
+  it('Names the type of the operand in the error', () => {
+    const { error } = evaluate('wacha x = "jina"\n-x');
+
+    expect(error.message).toMatch("'Jina'");
+    expect(error.line).toBe(2);
+  });
+});